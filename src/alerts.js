@@ -0,0 +1,111 @@
+import { createHmac } from 'node:crypto';
+import { setTimeout as sleep } from 'node:timers/promises';
+
+import { WEBHOOK_BACKOFF_MS, WEBHOOK_MAX_RETRIES, WEBHOOK_SIGNATURE_HEADER, WEBHOOK_TIMEOUT_MS } from './constants.js';
+import { roundMoney, toStringList } from './utils.js';
+
+// `watchSizes` maps product IDs to the sizes to watch, e.g. { M101: ['8', '8.5'] }.
+export const parseAlertRules = (value) => {
+    const rules = value && typeof value === 'object' ? value : {};
+    const priceDropPercent = Number(rules.priceDropPercent);
+    const watchSizes = {};
+    if (rules.watchSizes && typeof rules.watchSizes === 'object') {
+        for (const [productId, sizes] of Object.entries(rules.watchSizes)) {
+            const list = toStringList(sizes);
+            if (list.length) watchSizes[productId] = list;
+        }
+    }
+    return {
+        priceDropPercent: priceDropPercent > 0 ? priceDropPercent : null,
+        onSale: rules.onSale === true,
+        backInStock: rules.backInStock === true,
+        watchSizes,
+    };
+};
+
+export const hasAlertRules = (rules) =>
+    rules.priceDropPercent !== null || rules.onSale || rules.backInStock || Object.keys(rules.watchSizes).length > 0;
+
+// Rules comparing with the previous run need the price history entry.
+export const needsPriceHistory = (rules) => rules.priceDropPercent !== null || rules.backInStock;
+
+const getAvailableSizes = (item, variants, watched) => {
+    const wanted = watched.map((size) => size.toLowerCase());
+    const sizes =
+        Array.isArray(variants) && variants.length
+            ? variants.filter((variant) => variant.orderable !== false).map((variant) => variant.size)
+            : (item.inStock && item.sizes) || [];
+    return [...new Set(sizes.filter((size) => size && wanted.includes(String(size).toLowerCase())))];
+};
+
+// `previous` is the item's price history entry from earlier runs, `variants` its detail page variants if scraped.
+export const matchAlertRules = (item, rules, { previous = null, variants = null } = {}) => {
+    const alerts = [];
+    const summary = {
+        productId: item.productId,
+        title: item.title,
+        brand: item.brand,
+        url: item.url,
+        price: item.price,
+        originalPrice: item.originalPrice,
+        currency: item.currency,
+        inStock: item.inStock,
+    };
+
+    if (rules.priceDropPercent !== null && previous?.price > 0 && item.price !== null && item.price < previous.price) {
+        const dropPercent = roundMoney(((previous.price - item.price) / previous.price) * 100);
+        if (dropPercent >= rules.priceDropPercent) {
+            alerts.push({ rule: 'priceDrop', ...summary, previousPrice: previous.price, dropPercent });
+        }
+    }
+    if (rules.onSale && item.price !== null && item.originalPrice > item.price) {
+        const discountPercent = roundMoney(((item.originalPrice - item.price) / item.originalPrice) * 100);
+        alerts.push({ rule: 'onSale', ...summary, discountPercent });
+    }
+    if (rules.backInStock && previous?.inStock === false && item.inStock) {
+        alerts.push({ rule: 'backInStock', ...summary });
+    }
+    const watched = item.productId ? rules.watchSizes[item.productId] : null;
+    if (watched) {
+        const sizes = getAvailableSizes(item, variants, watched);
+        if (sizes.length) alerts.push({ rule: 'sizeAvailable', ...summary, sizes });
+    }
+    return alerts;
+};
+
+export const signPayload = (body, secret) => createHmac('sha256', secret).update(body).digest('hex');
+
+// POSTs the payload, retrying network errors, 408/429 and 5xx responses with exponential backoff.
+export const sendWebhook = async ({
+    url,
+    payload,
+    secret = null,
+    logger,
+    retries = WEBHOOK_MAX_RETRIES,
+    backoffMs = WEBHOOK_BACKOFF_MS,
+}) => {
+    const body = JSON.stringify(payload);
+    const headers = { 'Content-Type': 'application/json' };
+    if (secret) headers[WEBHOOK_SIGNATURE_HEADER] = `sha256=${signPayload(body, secret)}`;
+
+    let error = null;
+    for (let attempt = 0; attempt <= retries; attempt += 1) {
+        if (attempt > 0) await sleep(backoffMs * 2 ** (attempt - 1));
+        try {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers,
+                body,
+                signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+            });
+            if (response.ok) return true;
+            error = `HTTP ${response.status}`;
+            if (response.status < 500 && ![408, 429].includes(response.status)) break;
+        } catch (err) {
+            error = err?.message || String(err);
+        }
+        logger?.debug?.(`Webhook ${url} attempt ${attempt + 1} failed: ${error}`);
+    }
+    logger?.warning?.(`Webhook ${url} failed: ${error}`);
+    return false;
+};
@@ -0,0 +1,22 @@
+// Interstitials of the usual bot protections (Cloudflare, DataDome, PerimeterX, Akamai, Imperva) served in place of
+// the page until a browser has run their script.
+const CHALLENGE_PATTERNS = [
+    /<title>\s*Just a moment/i,
+    /challenge-platform|cf-chl-|cf_chl_opt/i,
+    /captcha-delivery\.com/i,
+    /px-captcha|_pxAppId/i,
+    /<title>\s*Access Denied/i,
+    /Pardon Our Interruption|_Incapsula_Resource/i,
+];
+
+export const isChallengePage = (html) => CHALLENGE_PATTERNS.some((pattern) => pattern.test(html || ''));
+
+// Why a page no extractor found anything on should be rendered in a browser, or null when rendering won't help:
+// 'challenge' for a bot-protection page, 'clientRendered' for a page without the preloaded state or JSON-LD the
+// server normally embeds, whose scripts fill it in instead. Grid fragments are always rendered by the server.
+export const getBrowserFallbackReason = (html, label) => {
+    if (isChallengePage(html)) return 'challenge';
+    if (label === 'GRID' || !html) return null;
+    if (html.includes('__PRELOADED_STATE__') || /application\/ld\+json/i.test(html)) return null;
+    return /<script\b[^>]*\bsrc=/i.test(html) ? 'clientRendered' : null;
+};
@@ -0,0 +1,29 @@
+import { toStoreKey } from './utils.js';
+
+// Listing-level data that decides whether a cached detail page is still valid.
+export const getListingFingerprint = (item) => ({
+    price: item.price ?? null,
+    inStock: item.inStock ?? null,
+    variantCount: item.variantCount ?? null,
+    image: item.image || null,
+});
+
+// Each product's detail data is a record of its own.
+export const getDetailCacheKey = (url) => toStoreKey('detail', url);
+
+const isSameFingerprint = (a, b) =>
+    Boolean(a && b) && Object.keys(b).every((key) => (a[key] ?? null) === (b[key] ?? null));
+
+const isExpired = (entry, now, ttlMs) => !(Date.parse(now) - Date.parse(entry?.fetchedAt) < ttlMs);
+
+// A cached detail is reused when it is younger than the TTL and the listing data it was fetched for is unchanged.
+export const hasCachedDetail = (index, url, fingerprint, now, ttlMs) => {
+    const entry = index[url];
+    return Boolean(entry) && !isExpired(entry, now, ttlMs) && isSameFingerprint(entry.fingerprint, fingerprint);
+};
+
+// Expired entries can never be reused, so dropping them keeps delisted products from piling up.
+export const getExpiredUrls = (index, now, ttlMs) =>
+    Object.entries(index)
+        .filter(([, entry]) => isExpired(entry, now, ttlMs))
+        .map(([url]) => url);
@@ -0,0 +1,67 @@
+import { BASE_URL } from './constants.js';
+import { getVariationName } from './mappers.js';
+import { getCgidFromUrl } from './search.js';
+import { normalizeProductUrl, toAbs, toNumber } from './utils.js';
+
+export const extractCategoriesFromNavigation = ($) => {
+    const parseList = (list) =>
+        list
+            .children('li')
+            .toArray()
+            .map((li) => {
+                const entry = $(li);
+                const link = entry.children('a').first().length ? entry.children('a').first() : entry.find('a').first();
+                const url = normalizeProductUrl(link.attr('href'));
+                if (!url || !url.startsWith(BASE_URL) || url.includes('/product/')) return null;
+                const name = link.text().replace(/\s+/g, ' ').trim();
+                const id =
+                    link.attr('data-cgid') ||
+                    getCgidFromUrl(url) ||
+                    new URL(url).pathname.split('/').filter(Boolean).pop() ||
+                    null;
+                if (!id || !name) return null;
+                const nested = entry.find('ul').first();
+                return { id, name, c_url: url, categories: nested.length ? parseList(nested) : [] };
+            })
+            .filter(Boolean);
+
+    const nav = $('nav ul, [role="navigation"] ul').first();
+    if (!nav.length) return null;
+    const categories = parseList(nav);
+    return categories.length ? { id: 'root', categories } : null;
+};
+
+export const resolveCategoryUrl = (category, { locale, siteId }) => {
+    const href = category.c_url || category.c_alternativeUrl || category.url;
+    if (href) return toAbs(href);
+    if (!siteId) return null;
+    const url = new URL(`${BASE_URL}/on/demandware.store/Sites-${siteId}-Site/${locale}/Search-Show`);
+    url.searchParams.set('cgid', category.id);
+    return url.href;
+};
+
+// Flattens a Commerce Cloud category tree (or one parsed from the navigation) into rows with breadcrumb paths.
+export const flattenCategoryTree = (root, { locale, siteId }) => {
+    const rows = [];
+    const visit = (category, parentId, path) => {
+        for (const child of Array.isArray(category?.categories) ? category.categories : []) {
+            if (!child?.id || child.c_showInMenu === false) continue;
+            const name = getVariationName(child) || child.id;
+            const childPath = [...path, name];
+            const children = Array.isArray(child.categories) ? child.categories.filter((entry) => entry?.id) : [];
+            rows.push({
+                id: child.id,
+                name,
+                url: resolveCategoryUrl(child, { locale, siteId }),
+                parentId,
+                path: childPath,
+                depth: childPath.length,
+                isLeaf: !children.length,
+                productCount: toNumber(child.c_productCount ?? child.productCount),
+            });
+            visit(child, child.id, childPath);
+        }
+    };
+    visit(root, null, []);
+    return rows;
+};
@@ -0,0 +1,94 @@
+import { getLocalizedText, toAbs, uniqStrings } from './utils.js';
+
+// Words and abbreviations in English and French color names, by family.
+const COLOR_FAMILY_WORDS = {
+    black: ['black', 'blk', 'bk', 'noir', 'noire', 'jet', 'onyx', 'ebony'],
+    white: ['white', 'wht', 'wh', 'blanc', 'blanche', 'ivory', 'ivoire', 'cream', 'creme', 'crème', 'off-white'],
+    grey: ['grey', 'gray', 'gry', 'gris', 'grise', 'charcoal', 'pewter', 'slate', 'smoke', 'ash', 'graphite'],
+    brown: ['brown', 'brn', 'brun', 'brune', 'marron', 'chestnut', 'cognac', 'chocolate', 'espresso', 'mocha'],
+    beige: ['tan', 'camel', 'sand', 'beige', 'taupe', 'nude', 'natural', 'naturel', 'khaki', 'stone', 'wheat'],
+    red: ['red', 'rouge', 'burgundy', 'bordeaux', 'wine', 'oxblood', 'cherry', 'maroon'],
+    pink: ['pink', 'rose', 'blush', 'fuchsia', 'magenta'],
+    orange: ['orange', 'rust', 'coral', 'terracotta'],
+    yellow: ['yellow', 'jaune', 'mustard', 'moutarde'],
+    green: ['green', 'grn', 'vert', 'verte', 'olive', 'sage', 'mint', 'forest'],
+    blue: ['blue', 'blu', 'bleu', 'bleue', 'navy', 'nvy', 'marine', 'denim', 'cobalt', 'teal'],
+    purple: ['purple', 'violet', 'violette', 'lilac', 'lavender', 'plum', 'mauve'],
+    metallic: ['gold', 'or', 'silver', 'argent', 'bronze', 'metallic', 'métallique', 'champagne'],
+    multi: ['multi', 'multicolor', 'multicolour', 'multicolore', 'print', 'floral', 'leopard', 'camo'],
+};
+
+const FAMILY_BY_WORD = new Map(
+    Object.entries(COLOR_FAMILY_WORDS).flatMap(([family, words]) => words.map((word) => [word, family])),
+);
+
+// Every family named in a color, e.g. "BLK/WHT" gives ['black', 'white'].
+export const getColorFamilies = (name) => {
+    const text = getLocalizedText(name)?.toLowerCase() || '';
+    const words = text.split(/[^a-zà-ÿ-]+/).flatMap((word) => [word, ...word.split('-')]);
+    return uniqStrings(words.map((word) => FAMILY_BY_WORD.get(word)));
+};
+
+// A color naming more than one family, e.g. "Black/White", is "multi".
+export const getColorFamily = (name) => {
+    const families = getColorFamilies(name);
+    if (families.length > 1) return 'multi';
+    return families[0] || null;
+};
+
+const groupMatchesColor = (group, code) =>
+    (group?.variationAttributes || []).some(
+        (attr) =>
+            ['color', 'colour'].includes(String(attr?.id).toLowerCase()) &&
+            (attr.values || []).some((entry) => String(entry?.value) === code),
+    );
+
+const getImageLinks = (groups) =>
+    uniqStrings(
+        groups
+            .flatMap((group) => group?.images || [])
+            .map((img) => (img?.link || img?.src ? toAbs(img.link || img.src) : null)),
+    );
+
+// One entry per color variation value, with its swatch and the images of that color's image groups.
+export const mapColorOptions = (product, locale = 'en') => {
+    const variationAttributes = product?.c_variationAttributes || product?.variationAttributes || [];
+    const colorAttr = variationAttributes.find((attr) => ['color', 'colour'].includes(String(attr?.id).toLowerCase()));
+    const imageGroups = Array.isArray(product?.imageGroups) ? product.imageGroups : [];
+    return (colorAttr?.values || [])
+        .filter((entry) => entry?.value !== undefined && entry?.value !== null)
+        .map((entry) => {
+            const code = String(entry.value);
+            const name = getLocalizedText(entry.name, locale) || code;
+            const groups = imageGroups.filter((group) => groupMatchesColor(group, code));
+            const swatchGroups = groups.filter((group) => group.viewType === 'swatch');
+            const viewGroups = groups.filter((group) => group.viewType !== 'swatch');
+            const largeGroups = viewGroups.filter((group) => group.viewType === 'large');
+            const swatch =
+                entry.image_swatch?.link || entry.imageSwatch?.link || getImageLinks(swatchGroups)[0] || null;
+            return {
+                code,
+                name,
+                family: getColorFamily(name),
+                swatch: swatch ? toAbs(swatch) : null,
+                images: getImageLinks(largeGroups.length ? largeGroups : viewGroups),
+                orderable: entry.orderable ?? null,
+            };
+        });
+};
+
+// Filter values that name a family match every color of it, so "black" keeps "Black Leather" and "BLK/WHT".
+// Values without a known family are matched against the color names as before.
+export const matchesAnyColor = (colors, filters) => {
+    const families = new Set(
+        colors.flatMap((color) => {
+            const found = getColorFamilies(color);
+            return found.length > 1 ? [...found, 'multi'] : found;
+        }),
+    );
+    return filters.some((filter) => {
+        const wanted = getColorFamilies(filter);
+        if (wanted.length) return wanted.every((family) => families.has(family));
+        return colors.some((color) => String(color).toLowerCase().includes(filter.toLowerCase()));
+    });
+};
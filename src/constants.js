@@ -0,0 +1,96 @@
+// Both hosts can be overridden through the environment so tests can run the actor against a local stand-in.
+export const BASE_URL = process.env.BROWNS_BASE_URL || 'https://www.brownsshoes.com';
+export const API_BASE_URL = process.env.BROWNS_API_BASE_URL || null;
+export const REVIEWS_API_BASE_URL = process.env.BROWNS_REVIEWS_API_BASE_URL || 'https://api.bazaarvoice.com';
+
+export const DEFAULT_MAX_ITEMS = 20;
+export const DEFAULT_MAX_PAGES = 50;
+export const DEFAULT_PAGE_SIZE = 20;
+export const DEFAULT_PRICE_HISTORY_STORE = 'browns-price-history';
+export const MAX_PRICE_HISTORY_ENTRIES = 100;
+export const LISTING_SNAPSHOT_KEY = 'LISTING_SNAPSHOTS';
+export const DEFAULT_DETAIL_CACHE_STORE = 'browns-detail-cache';
+export const DETAIL_CACHE_KEY = 'DETAIL_CACHE';
+export const DEFAULT_DETAIL_CACHE_TTL_HOURS = 72;
+export const CRAWL_STATE_KEY = 'CRAWL_STATE';
+export const MAX_REFINE_PRICE = 100000;
+export const CATEGORY_TREE_LEVELS = 4;
+export const LOCALES = ['en', 'fr'];
+// Shopper API locale IDs for the storefront's `/en/` and `/fr/` sites.
+export const API_LOCALES = { en: 'en-CA', fr: 'fr-CA' };
+// Fields that differ between the English and French versions of a product.
+export const LOCALIZED_FIELDS = ['title', 'description', 'features', 'colors', 'colorName'];
+// Shopper Products accepts up to 24 IDs per `products` request.
+export const PRODUCT_API_BATCH_SIZE = 24;
+export const DEFAULT_API_CACHE_STORE = 'browns-api-cache';
+export const API_CACHE_KEY = 'API_CONFIG';
+// Guest tokens last 30 minutes; they are renewed this long before they expire.
+export const TOKEN_REFRESH_MARGIN_MS = 60 * 1000;
+// Shopper API data behind `pricebookPrices` and `promotions`.
+export const PROMOTION_EXPAND = ['prices', 'promotions'];
+// Shopper Products data needed to map watchlist products without visiting their pages.
+export const WATCHLIST_PRODUCT_EXPAND = ['availability', 'images', 'prices', 'promotions', 'variations'];
+// Watchlist fields copied onto saved products and their variant records.
+export const WATCHLIST_FIELDS = ['watchStatus', 'redirectUrl'];
+export const DEFAULT_STORE_RADIUS = 25;
+export const STORE_COUNTRY_CODE = 'CA';
+export const DEFAULT_REVIEWS_DATASET = 'browns-reviews';
+// Bazaarvoice Conversations API page size limit.
+export const REVIEWS_PAGE_SIZE = 100;
+// Key-value store record of each export format; `relational` adds one CSV record per table.
+export const EXPORT_RECORDS = {
+    csv: { key: 'EXPORT_CSV', contentType: 'text/csv; charset=utf-8' },
+    xlsx: { key: 'EXPORT_XLSX', contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+    ndjson: { key: 'EXPORT_NDJSON', contentType: 'application/x-ndjson' },
+    merchantXml: { key: 'EXPORT_MERCHANT_FEED', contentType: 'application/xml; charset=utf-8' },
+};
+export const EXPORT_FORMATS = [...Object.keys(EXPORT_RECORDS), 'relational'];
+export const WEBHOOK_MAX_RETRIES = 3;
+export const WEBHOOK_BACKOFF_MS = 1000;
+export const WEBHOOK_TIMEOUT_MS = 15000;
+export const WEBHOOK_SIGNATURE_HEADER = 'X-Browns-Signature';
+export const PAGE_TYPES = ['LIST', 'GRID', 'DETAIL'];
+// Responses that count against a proxy tier: blocks move the request to the next tier, auth failures the whole tier.
+export const PROXY_BLOCK_STATUS_CODES = [403, 429];
+export const PROXY_AUTH_STATUS_CODES = [407, 597];
+// Answers that mean the site is blocking or throttling us; the request is backed off and queued again.
+export const BLOCKED_STATUS_CODES = [403, 429, 503];
+// `requestsPerMinute` is per host; null means no limit.
+export const DEFAULT_RATE_LIMIT = {
+    requestsPerMinute: null,
+    maxBlockedRetries: 5,
+    backoffBaseSecs: 2,
+    backoffMaxSecs: 60,
+    circuitBreakerBlockRate: 0.5,
+    circuitBreakerWindow: 20,
+    circuitBreakerPauseSecs: 60,
+};
+// Pages may wait this long for the rate limit before being put back in the queue, well within the 120s request
+// handler timeout that the wait counts against.
+export const MAX_THROTTLE_WAIT_SECS = 60;
+// Retries of helper requests (home page, Shopper API, reviews) after network errors and blocks.
+export const HTTP_MAX_RETRIES = 2;
+// Elements the browser fallback waits for, per page type, before the rendered page goes to the extractors.
+export const BROWSER_READY_SELECTORS = {
+    LIST: '.product-tile, a[href*="/product/"]',
+    GRID: '.product-tile',
+    DETAIL: 'script[type="application/ld+json"], .product-detail, [data-pid]',
+};
+export const BROWSER_READY_TIMEOUT_SECS = 30;
+export const BROWSER_MAX_CONCURRENCY = 2;
+// Product counts fetched at once for the categories the tree lists without one.
+export const CATEGORY_COUNT_CONCURRENCY = 4;
+export const DEFAULT_HEALTH_THRESHOLDS = { price: 0.3, image: 0.5, emptyPages: 0.5 };
+
+// Commerce Cloud refinement attribute IDs (API `refine`) and their storefront URL names (`prefn`).
+export const REFINEMENT_ATTRIBUTES = {
+    brand: { api: 'c_brand', url: 'brand' },
+    color: { api: 'c_color', url: 'color' },
+    size: { api: 'c_size', url: 'size' },
+    width: { api: 'c_width', url: 'width' },
+    gender: { api: 'c_gender', url: 'gender' },
+};
+
+export const PRICE_HISTORY_FIELDS = ['previousPrice', 'priceChange', 'priceChangePercent', 'firstSeenAt', 'lastSeenAt'];
+// Request context copied onto every saved item.
+export const CONTEXT_FIELDS = ['locale', 'searchQuery', 'categoryPath'];
@@ -0,0 +1,198 @@
+import ExcelJS from 'exceljs';
+
+import { BASE_URL, EXPORT_RECORDS } from './constants.js';
+import { getProductKey } from './locales.js';
+
+const VARIANT_FIELDS = [
+    'variantId',
+    'colorCode',
+    'colorName',
+    'size',
+    'width',
+    'orderable',
+    'quantity',
+    'price',
+    'image',
+];
+
+const isVariantRecord = (item) => 'variantId' in item;
+
+// Arrays of plain values become `a | b`, anything else nested is kept as JSON.
+const toCell = (value) => {
+    if (value === null || value === undefined) return '';
+    if (Array.isArray(value) && value.every((entry) => entry === null || typeof entry !== 'object')) {
+        return value.join(' | ');
+    }
+    if (typeof value === 'object') return JSON.stringify(value);
+    return value;
+};
+
+// Every key any row has, in the order they first appear.
+const getColumns = (rows) => {
+    const columns = new Set();
+    for (const row of rows) {
+        for (const key of Object.keys(row)) columns.add(key);
+    }
+    return [...columns];
+};
+
+export const toCsv = (rows) => {
+    const columns = getColumns(rows);
+    const escape = (value) => {
+        const text = String(toCell(value));
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return [columns, ...rows.map((row) => columns.map((column) => row[column]))]
+        .map((cells) => cells.map(escape).join(','))
+        .join('\r\n');
+};
+
+export const toNdjson = (rows) => rows.map((row) => JSON.stringify(row)).join('\n');
+
+// Control characters are not allowed in XML 1.0 documents, which both the feed and XLSX sheets are.
+// eslint-disable-next-line no-control-regex
+const stripControlChars = (value) => String(value).replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '');
+
+const escapeXml = (value) =>
+    stripControlChars(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+const toXlsxCell = (value) => {
+    const cell = toCell(value);
+    if (cell === '') return null;
+    if (typeof cell === 'number' || typeof cell === 'boolean') return cell;
+    return stripControlChars(cell);
+};
+
+// `sheets` maps sheet names to rows; each sheet gets a header row with the union of the row keys.
+export const toXlsx = async (sheets) => {
+    const workbook = new ExcelJS.Workbook();
+    for (const [name, rows] of Object.entries(sheets)) {
+        const sheet = workbook.addWorksheet(name.slice(0, 31));
+        const columns = getColumns(rows);
+        sheet.addRow(columns);
+        for (const row of rows) sheet.addRow(columns.map((column) => toXlsxCell(row[column])));
+    }
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+};
+
+const formatPrice = (value, currency) => (Number.isFinite(value) ? `${value.toFixed(2)} ${currency || 'CAD'}` : null);
+
+// Google Merchant Center RSS feed; variant records become items grouped by their product. Records without a title
+// or price, such as the watchlist's not-found and redirect records, are not products the feed can list.
+export const toMerchantFeed = (items, { title = 'Browns Shoes', link = BASE_URL } = {}) => {
+    const listable = items.filter((item) => item.title && Number.isFinite(item.price));
+    const entries = listable.map((item) => {
+        const variant = isVariantRecord(item);
+        const inStock = variant ? item.orderable !== false : item.inStock !== false;
+        const onSale = Number.isFinite(item.originalPrice) && item.originalPrice > item.price;
+        const images = variant ? [item.image] : [item.image, ...(item.images || [])];
+        const [imageLink, ...additionalImages] = [...new Set(images.filter(Boolean))];
+        const fields = [
+            ['g:id', variant ? item.variantId || item.productId : item.productId || getProductKey(item)],
+            ['g:item_group_id', variant ? item.productId : null],
+            ['g:title', item.title],
+            ['g:description', item.description || item.title],
+            ['g:link', item.url],
+            ['g:image_link', imageLink],
+            ...additionalImages.slice(0, 10).map((image) => ['g:additional_image_link', image]),
+            ['g:availability', inStock ? 'in_stock' : 'out_of_stock'],
+            ['g:price', formatPrice(onSale ? item.originalPrice : item.price, item.currency)],
+            ['g:sale_price', onSale ? formatPrice(item.price, item.currency) : null],
+            ['g:brand', item.brand],
+            ['g:condition', 'new'],
+            ['g:color', variant ? item.colorName : item.colorName || (item.colors || []).join('/') || null],
+            ['g:size', variant ? item.size : null],
+        ];
+        const xml = fields
+            .filter(([, value]) => value !== null && value !== undefined && value !== '')
+            .map(([tag, value]) => `<${tag}>${escapeXml(value)}</${tag}>`)
+            .join('');
+        return `<item>${xml}</item>`;
+    });
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<rss version="2.0" xmlns:g="http://base.google.com/ns/1.0"><channel>',
+        `<title>${escapeXml(title)}</title><link>${escapeXml(link)}</link>`,
+        ...entries,
+        '</channel></rss>',
+        '',
+    ].join('\n');
+};
+
+// Splits dataset records into products, variants, images and categories tables linked by `productId`.
+export const buildRelationalTables = (items) => {
+    const products = new Map();
+    const variants = [];
+    const images = [];
+    const categories = [];
+    const variantIds = new Set();
+    // Product ID -> image URLs already listed for it.
+    const productImages = new Map();
+
+    const addImage = (productId, url) => {
+        if (!productImages.has(productId)) productImages.set(productId, new Set());
+        const seen = productImages.get(productId);
+        if (!url || seen.has(url)) return;
+        seen.add(url);
+        images.push({ productId, position: seen.size, url });
+    };
+
+    for (const item of items) {
+        const productId = item.productId || getProductKey(item);
+        if (!productId) continue;
+        const variant = isVariantRecord(item);
+
+        if (!products.has(productId)) {
+            const row = { productId };
+            for (const [key, value] of Object.entries(item)) {
+                if (key === 'productId' || (variant && VARIANT_FIELDS.includes(key))) continue;
+                if (Array.isArray(value) || (value && typeof value === 'object')) continue;
+                row[key] = value;
+            }
+            if (Array.isArray(item.categoryPath)) row.categoryPath = item.categoryPath.join(' > ');
+            if (variant) {
+                row.price = null;
+                row.inStock = false;
+            }
+            products.set(productId, row);
+            for (const category of item.categories || []) categories.push({ productId, category, type: 'primary' });
+            if (row.categoryPath) categories.push({ productId, category: row.categoryPath, type: 'path' });
+        }
+
+        if (variant) {
+            const row = products.get(productId);
+            // The product row gets the lowest variant price and is in stock when any variant is orderable.
+            if (Number.isFinite(item.price) && (row.price === null || item.price < row.price)) row.price = item.price;
+            if (item.orderable) row.inStock = true;
+            if (item.variantId && variantIds.has(item.variantId)) continue;
+            variantIds.add(item.variantId);
+            const variantRow = { productId };
+            for (const field of VARIANT_FIELDS) variantRow[field] = item[field] ?? null;
+            variants.push(variantRow);
+            addImage(productId, item.image);
+        } else {
+            for (const url of [item.image, ...(item.images || [])]) addImage(productId, url);
+        }
+    }
+
+    return { products: [...products.values()], variants, images, categories };
+};
+
+// Key-value store records for the requested export formats.
+export const buildExports = async (items, formats) => {
+    const records = [];
+    const add = (format, value) => records.push({ ...EXPORT_RECORDS[format], value });
+    if (formats.includes('csv')) add('csv', toCsv(items));
+    if (formats.includes('ndjson')) add('ndjson', toNdjson(items));
+    if (formats.includes('merchantXml')) add('merchantXml', toMerchantFeed(items));
+    const tables = formats.includes('relational') ? buildRelationalTables(items) : null;
+    if (formats.includes('xlsx')) add('xlsx', await toXlsx(tables ? { items, ...tables } : { items }));
+    for (const [name, rows] of Object.entries(tables || {})) {
+        records.push({
+            key: `EXPORT_${name.toUpperCase()}`,
+            contentType: EXPORT_RECORDS.csv.contentType,
+            value: toCsv(rows),
+        });
+    }
+    return records;
+};
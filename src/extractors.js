@@ -0,0 +1,346 @@
+import { getPriceRange, mapPromotionBadges } from './promotions.js';
+import { normalizeProductUrl, parseJsonAttribute, toAbs, toNumber } from './utils.js';
+
+export const extractJsonObject = (text, startIndex) => {
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+    for (let i = startIndex; i < text.length; i += 1) {
+        const ch = text[i];
+        if (inString) {
+            if (escaped) {
+                escaped = false;
+            } else if (ch === '\\') {
+                escaped = true;
+            } else if (ch === '"') {
+                inString = false;
+            }
+            continue;
+        }
+        if (ch === '"') {
+            inString = true;
+            continue;
+        }
+        if (ch === '{') {
+            depth += 1;
+        } else if (ch === '}') {
+            depth -= 1;
+            if (depth === 0) {
+                return text.slice(startIndex, i + 1);
+            }
+        }
+    }
+    return null;
+};
+
+const extractJsonAfterToken = (html, token) => {
+    const tokenIndex = html.indexOf(token);
+    if (tokenIndex === -1) return null;
+    const separatorIndex = html.indexOf(':', tokenIndex + token.length);
+    const assignIndex = html.indexOf('=', tokenIndex + token.length);
+    const pivot = separatorIndex !== -1 ? separatorIndex : assignIndex;
+    if (pivot === -1) return null;
+    const startIndex = html.indexOf('{', pivot);
+    if (startIndex === -1) return null;
+    const raw = extractJsonObject(html, startIndex);
+    if (!raw) return null;
+    try {
+        return JSON.parse(raw);
+    } catch {
+        return null;
+    }
+};
+
+export const extractPreloadedState = (html) => {
+    return extractJsonAfterToken(html, '"__PRELOADED_STATE__"') || extractJsonAfterToken(html, '__PRELOADED_STATE__');
+};
+
+// The storefront's cached API responses whose query key names the given endpoint, e.g. `/categories/`.
+const findStateQueries = (state, endpoint) => {
+    const { __reactQuery: reactQuery } = state || {};
+    const queries = Array.isArray(reactQuery?.queries) ? reactQuery.queries : [];
+    return queries.filter(
+        (query) => Array.isArray(query?.queryKey) && query.queryKey.some((part) => String(part).includes(endpoint)),
+    );
+};
+
+export const extractProductSearchFromState = (state) => {
+    for (const query of findStateQueries(state, 'product-search')) {
+        const key = query.queryKey;
+        const params = key[key.length - 1] && typeof key[key.length - 1] === 'object' ? key[key.length - 1] : {};
+        const data = query?.state?.data;
+        const pages = Array.isArray(data?.pages) ? data.pages : [];
+        const hits = pages.flatMap((page) => (Array.isArray(page?.hits) ? page.hits : []));
+        const meta = pages[0] || {};
+        return {
+            hits,
+            total: meta.total ?? null,
+            limit: meta.limit ?? null,
+            offset: meta.offset ?? 0,
+            params,
+        };
+    }
+    return null;
+};
+
+export const extractProductDetailFromState = (state) => {
+    for (const query of findStateQueries(state, '/products/')) {
+        const data = query?.state?.data;
+        if (data && typeof data === 'object') return data;
+    }
+
+    return null;
+};
+
+export const extractCategoriesFromState = (state) => {
+    for (const query of findStateQueries(state, '/categories/')) {
+        const data = query?.state?.data;
+        if (Array.isArray(data?.categories) && data.categories.length) return data;
+    }
+
+    return null;
+};
+
+export const extractBootstrapConfig = (html) => {
+    const shortCode = html.match(/shortCode"?:\"([^\"]+)"/)?.[1] || null;
+    const clientId = html.match(/clientId"?:\"([^\"]+)"/)?.[1] || null;
+    const organizationId = html.match(/organizationId"?:\"([^\"]+)"/)?.[1] || null;
+    const siteId = html.match(/siteId"?:\"([^\"]+)"/)?.[1] || null;
+    const preloadedState = extractPreloadedState(html);
+    const productSearch = preloadedState ? extractProductSearchFromState(preloadedState) : null;
+
+    return {
+        shortCode,
+        clientId,
+        organizationId,
+        siteId,
+        productSearch,
+    };
+};
+
+export const extractJsonLdProductNodes = ($) => {
+    const products = [];
+    $('script[type="application/ld+json"]').each((_, el) => {
+        const raw = $(el).contents().text().trim();
+        if (!raw) return;
+        try {
+            const data = JSON.parse(raw);
+            const nodes = Array.isArray(data) ? data : [data];
+            for (const node of nodes) {
+                if (!node) continue;
+                if (node['@type'] === 'Product') {
+                    products.push(node);
+                }
+                if (node['@type'] === 'ItemList' && Array.isArray(node.itemListElement)) {
+                    for (const item of node.itemListElement) {
+                        if (item?.item?.['@type'] === 'Product') {
+                            products.push(item.item);
+                        }
+                    }
+                }
+            }
+        } catch {
+            return;
+        }
+    });
+
+    return products;
+};
+
+export const extractJsonLdProducts = ($) => {
+    return extractJsonLdProductNodes($).map((product) => {
+        const offerList = Array.isArray(product.offers) ? product.offers : [product.offers];
+        const offers = offerList[0];
+        // An AggregateOffer, or one Offer per variant, spans the prices of the variants.
+        const priceRange = getPriceRange(
+            ...offerList.flatMap((offer) => [offer?.price, offer?.lowPrice, offer?.highPrice]),
+        );
+        return {
+            title: product.name || null,
+            brand: product.brand?.name || product.brand || null,
+            price: toNumber(offers?.price ?? offers?.lowPrice),
+            originalPrice: null,
+            priceRange,
+            currency: offers?.priceCurrency || 'CAD',
+            url: product.url ? normalizeProductUrl(product.url) : null,
+            image: Array.isArray(product.image) ? toAbs(product.image[0]) : toAbs(product.image),
+            images: Array.isArray(product.image) ? product.image.map((img) => toAbs(img)) : [],
+            colors: [],
+            sizes: [],
+            inStock: String(offers?.availability || '')
+                .toLowerCase()
+                .includes('instock'),
+            productId: product.sku || null,
+            description: product.description || null,
+            rating: toNumber(product.aggregateRating?.ratingValue),
+            reviewCount: toNumber(product.aggregateRating?.reviewCount ?? product.aggregateRating?.ratingCount),
+        };
+    });
+};
+
+const PROMOTION_BADGE_SELECTOR = '.promotion, .callout, .badge, [class*="badge"]';
+
+// `stats`, when given, counts the products each selector strategy contributed.
+export const extractProductsFromHtml = ($, stats = null) => {
+    const products = [];
+    const seenKeys = new Set();
+
+    const pushProduct = (item, strategy) => {
+        if (!item) return;
+        const key = item.url || item.productId;
+        if (!key || seenKeys.has(key)) return;
+        seenKeys.add(key);
+        products.push(item);
+        if (stats) stats[strategy] = (stats[strategy] || 0) + 1;
+    };
+
+    // Promotion callouts and badges of a product tile, e.g. "Extra 30% off" or "Clearance".
+    const getTilePromotions = (tile) =>
+        mapPromotionBadges(
+            tile
+                .find(PROMOTION_BADGE_SELECTOR)
+                .filter((_, badge) => !$(badge).find(PROMOTION_BADGE_SELECTOR).length)
+                .map((_, badge) => $(badge).text())
+                .get(),
+        );
+
+    // Global data-segment fallback (covers grid responses where structure may differ)
+    $('[data-segment]').each((_, el) => {
+        const data = parseJsonAttribute($(el).attr('data-segment'));
+        if (!data || typeof data !== 'object') return;
+        const url = data.url ? normalizeProductUrl(data.url) : null;
+        const image = data.image_url ? toAbs(data.image_url) : null;
+        const colors = data.variant ? [String(data.variant)] : [];
+        const sizes = data.size ? [String(data.size)] : [];
+        pushProduct(
+            {
+                title: data.name || null,
+                brand: data.brand || null,
+                price: toNumber(data.price),
+                originalPrice: toNumber(data.retail_price),
+                currency: data.currency || 'CAD',
+                url,
+                image,
+                images: image ? [image] : [],
+                colors,
+                sizes,
+                inStock: true,
+                productId: data.product_id || data.stylenumber || data.sku || null,
+                promotions: getTilePromotions($(el).closest('.product-tile')),
+            },
+            'dataSegment',
+        );
+    });
+
+    const getImageFromTag = (img) => {
+        let src = img.attr('data-src') || img.attr('data-lazy') || img.attr('src') || null;
+        const srcset = img.attr('data-srcset') || img.attr('srcset');
+        if (!src && srcset) {
+            src = srcset.split(',')[0]?.trim().split(' ')[0] || null;
+        }
+        return src;
+    };
+
+    $('.product-tile').each((_, el) => {
+        const tile = $(el);
+        const segmentEl = tile.find('[data-segment]').first();
+        const segment = parseJsonAttribute(segmentEl.attr('data-segment')) || null;
+        const gtm = parseJsonAttribute(tile.attr('data-gtm')) || null;
+        const impression = gtm?.ecommerce?.impressions || null;
+
+        const link = tile.find('a[href*="/product/"]').first();
+        const url = segment?.url
+            ? normalizeProductUrl(segment.url)
+            : link.length
+              ? normalizeProductUrl(link.attr('href'))
+              : null;
+        const img = tile.find('img').first();
+        const image = segment?.image_url ? segment.image_url : img.length ? getImageFromTag(img) : null;
+
+        const title =
+            segment?.name ||
+            impression?.name ||
+            impression?.dimension1 ||
+            link.attr('aria-label') ||
+            img.attr('alt') ||
+            null;
+        const brand = segment?.brand || impression?.brand || impression?.dimension6 || null;
+        // Storefront price markup: the selling price, and the struck-through list price of a product on sale.
+        const salesPrice = tile.find('.sales .value').first();
+        const listPrice = tile.find('.strike-through .value, .list .value').first();
+        const price = toNumber(
+            segment?.price ??
+                impression?.price ??
+                impression?.dimension12 ??
+                impression?.dimension7 ??
+                (salesPrice.attr('content') || salesPrice.text()),
+        );
+        const originalPrice = toNumber(
+            segment?.retail_price ?? impression?.dimension11 ?? (listPrice.attr('content') || listPrice.text()),
+        );
+        const colors = segment?.variant
+            ? [String(segment.variant)]
+            : impression?.variant
+              ? [String(impression.variant)]
+              : [];
+        const sizes = segment?.size ? [String(segment.size)] : [];
+        const productId = segment?.product_id || impression?.id || impression?.dimension9 || null;
+        const currency = segment?.currency || gtm?.ecommerce?.currencyCode || 'CAD';
+        let tileStrategy = 'productTile';
+        if (segment) tileStrategy = 'dataSegment';
+        else if (impression) tileStrategy = 'gtmTile';
+
+        if (url) {
+            pushProduct(
+                {
+                    title: title ? String(title).trim() : null,
+                    brand,
+                    price,
+                    originalPrice,
+                    currency,
+                    url,
+                    image: image ? toAbs(image) : null,
+                    images: image ? [toAbs(image)] : [],
+                    colors,
+                    sizes,
+                    inStock: true,
+                    productId,
+                    promotions: getTilePromotions(tile),
+                },
+                tileStrategy,
+            );
+        }
+    });
+
+    $('a[href*="/product/"]').each((_, el) => {
+        const href = $(el).attr('href');
+        const url = href ? normalizeProductUrl(href) : null;
+        if (!url || seenKeys.has(url)) return;
+
+        const title = $(el).attr('aria-label') || $(el).find('img').attr('alt') || null;
+        const card = $(el).closest('article, li, div');
+        const priceText = card.find('[class*="price"], [data-testid*="price"], [class*="Price"]').first().text() || '';
+        const price = toNumber(priceText);
+        const image = $(el).find('img').attr('data-src') || $(el).find('img').attr('src') || null;
+
+        pushProduct(
+            {
+                title: title ? title.trim() : null,
+                brand: null,
+                price,
+                originalPrice: null,
+                currency: 'CAD',
+                url,
+                image: image ? toAbs(image) : null,
+                images: image ? [toAbs(image)] : [],
+                colors: [],
+                sizes: [],
+                inStock: true,
+                productId: null,
+            },
+            'anchor',
+        );
+    });
+
+    return products;
+};
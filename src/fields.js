@@ -0,0 +1,13 @@
+// Reads a dotted path such as `raw.c_heelHeight`.
+export const getFieldValue = (record, path) =>
+    path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), record);
+
+// `fields` picks and orders the output fields (all of them when empty), `mapping` renames them.
+export const selectFields = (record, { fields = [], mapping = {} } = {}) => {
+    const output = {};
+    for (const field of fields.length ? fields : Object.keys(record)) {
+        const value = getFieldValue(record, field);
+        output[mapping[field] || field] = value === undefined ? null : value;
+    }
+    return output;
+};
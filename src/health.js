@@ -0,0 +1,106 @@
+import { PAGE_TYPES } from './constants.js';
+
+export const HEALTH_FIELDS = ['price', 'brand', 'image', 'sizes', 'description'];
+
+const isFilled = (value) => {
+    if (value === null || value === undefined || value === '') return false;
+    if (Array.isArray(value)) return value.length > 0;
+    return true;
+};
+
+const ratio = (part, total) => (total ? Math.round((part / total) * 1000) / 1000 : null);
+
+const percent = (share) => `${Math.round(share * 100)}%`;
+
+// Counts, per page type, which extraction strategy produced products, plus per-field fill rates of saved items.
+// A run resumed after a migration passes its last `toJSON()` as `state` to carry on counting from there.
+export const createHealthReport = (state = null) => {
+    const pages = Object.fromEntries(
+        PAGE_TYPES.map((type) => {
+            const saved = state?.pages?.[type];
+            return [
+                type,
+                {
+                    pages: saved?.pages || 0,
+                    emptyPages: saved?.emptyPages || 0,
+                    strategies: { ...saved?.strategies },
+                },
+            ];
+        }),
+    );
+    const filled = Object.fromEntries(HEALTH_FIELDS.map((field) => [field, state?.filled?.[field] || 0]));
+    let items = state?.items || 0;
+
+    // `counts` maps strategy name to the number of products it yielded on this page.
+    const recordPage = (pageType, counts = {}) => {
+        const entry = pages[pageType];
+        if (!entry) return;
+        entry.pages += 1;
+        let total = 0;
+        for (const [strategy, count] of Object.entries(counts)) {
+            if (!count) continue;
+            entry.strategies[strategy] = (entry.strategies[strategy] || 0) + count;
+            total += count;
+        }
+        if (!total) entry.emptyPages += 1;
+    };
+
+    const recordItem = (item) => {
+        if (!item) return;
+        items += 1;
+        for (const field of HEALTH_FIELDS) {
+            if (isFilled(item[field])) filled[field] += 1;
+        }
+    };
+
+    const toJSON = () => ({
+        items,
+        pages,
+        filled: { ...filled },
+        fillRates: Object.fromEntries(HEALTH_FIELDS.map((field) => [field, ratio(filled[field], items)])),
+    });
+
+    return { recordPage, recordItem, toJSON };
+};
+
+// Thresholds: `<field>` is the maximum share of items allowed to miss that field,
+// `emptyPages` the maximum share of listing/grid pages on which no product matched.
+export const evaluateHealth = (report, thresholds = {}) => {
+    const issues = [];
+    for (const field of HEALTH_FIELDS) {
+        const limit = thresholds[field];
+        const fillRate = report.fillRates[field];
+        if (!Number.isFinite(limit) || fillRate === null) continue;
+        const missing = Math.round((1 - fillRate) * 1000) / 1000;
+        if (missing > limit) {
+            issues.push({
+                check: field,
+                value: missing,
+                threshold: limit,
+                message: `${percent(missing)} of items have no ${field} (threshold ${percent(limit)})`,
+            });
+        }
+    }
+
+    if (Number.isFinite(thresholds.emptyPages)) {
+        for (const type of ['LIST', 'GRID']) {
+            const entry = report.pages[type];
+            const emptyRatio = ratio(entry?.emptyPages || 0, entry?.pages || 0);
+            if (emptyRatio !== null && emptyRatio > thresholds.emptyPages) {
+                issues.push({
+                    check: 'emptyPages',
+                    pageType: type,
+                    value: emptyRatio,
+                    threshold: thresholds.emptyPages,
+                    message: `${entry.emptyPages} of ${entry.pages} ${type} pages matched no products`,
+                });
+            }
+        }
+    }
+
+    if (report.items === 0) {
+        issues.push({ check: 'items', value: 0, threshold: null, message: 'No items were extracted' });
+    }
+
+    return issues;
+};
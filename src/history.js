@@ -0,0 +1,73 @@
+import { roundMoney, toStoreKey } from './utils.js';
+
+// Each product's price history is a record of its own.
+export const getPriceHistoryKey = (url) => toStoreKey('history', url);
+
+// The entry as the runs before `now` left it. A product saved again by the same run, on a retry or after a migration,
+// finds the entry this run already wrote, so the last history element is taken back off.
+export const getPreviousEntry = (entry, now) => {
+    if (!entry || entry.lastSeenAt !== now) return entry || null;
+    const history = (entry.history || []).slice(0, -1);
+    const last = history[history.length - 1];
+    if (!last) return null;
+    const { at, ...snapshot } = last;
+    return { ...entry, ...snapshot, lastSeenAt: at, history };
+};
+
+// Compares an item with its stored history entry from previous runs.
+export const computePriceHistory = (entry, item, now) => {
+    const previousPrice = entry?.price ?? null;
+    const priceChange = previousPrice !== null && item.price !== null ? roundMoney(item.price - previousPrice) : null;
+    const priceChangePercent =
+        priceChange !== null && previousPrice > 0 ? roundMoney((priceChange / previousPrice) * 100) : null;
+    return {
+        previousPrice,
+        priceChange,
+        priceChangePercent,
+        firstSeenAt: entry?.firstSeenAt || now,
+        lastSeenAt: entry?.lastSeenAt || null,
+    };
+};
+
+export const hasPriceOrStockChanged = (entry, item) =>
+    !entry || entry.price !== item.price || entry.inStock !== item.inStock;
+
+// Diffs the product URLs seen for one start URL against the snapshot from previous runs.
+// Removals are only trusted when the listing was crawled to the end.
+export const diffListingSnapshot = (previous, seen, now, { complete }) => {
+    const entries = { ...(previous?.products || {}) };
+    const added = [];
+    const removed = [];
+    const reappeared = [];
+
+    for (const [url, info] of seen) {
+        const entry = entries[url];
+        if (!entry) {
+            added.push({ url, ...info });
+        } else if (entry.removedAt) {
+            reappeared.push({ url, ...info, removedAt: entry.removedAt });
+        }
+        entries[url] = {
+            productId: info.productId || entry?.productId || null,
+            title: info.title || entry?.title || null,
+            firstSeenAt: entry?.firstSeenAt || now,
+            lastSeenAt: now,
+            removedAt: null,
+        };
+    }
+
+    if (complete) {
+        for (const [url, entry] of Object.entries(entries)) {
+            if (seen.has(url) || entry.removedAt) continue;
+            removed.push({ url, productId: entry.productId, title: entry.title, lastSeenAt: entry.lastSeenAt });
+            entries[url] = { ...entry, removedAt: now };
+        }
+    }
+
+    return {
+        snapshot: { updatedAt: now, products: entries },
+        added,
+        removed,
+        reappeared,
+    };
+};
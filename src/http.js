@@ -0,0 +1,137 @@
+import { setTimeout as sleep } from 'node:timers/promises';
+
+import { gotScraping } from 'got-scraping';
+import { HeaderGenerator } from 'header-generator';
+
+import { BLOCKED_STATUS_CODES, DEFAULT_RATE_LIMIT, HTTP_MAX_RETRIES } from './constants.js';
+import { getBackoffMs } from './throttle.js';
+
+const headerGenerator = new HeaderGenerator({
+    browsers: [{ name: 'chrome', minVersion: 114 }],
+    devices: ['desktop'],
+    operatingSystems: ['windows', 'macos', 'linux'],
+});
+
+export const getSessionHeaders = (session) => {
+    if (!session) return headerGenerator.getHeaders();
+    if (!session.userData.headers) {
+        session.userData.headers = headerGenerator.getHeaders();
+    }
+    return session.userData.headers;
+};
+
+// Proxy URL of the first usable proxy tier, or undefined when that tier uses no proxy.
+const resolveProxyUrl = ({ proxyManager, session }) => proxyManager?.newUrl(session?.id);
+
+const DEFAULT_BACKOFF = {
+    baseMs: DEFAULT_RATE_LIMIT.backoffBaseSecs * 1000,
+    maxMs: DEFAULT_RATE_LIMIT.backoffMaxSecs * 1000,
+};
+
+// Sends one request through the proxy tiers and the throttle. Network errors and blocked answers are retried with
+// backoff up to HTTP_MAX_RETRIES times; the last answer is returned, the last network error thrown.
+const sendRequest = async (options, { session, proxyManager, throttle, logger }) => {
+    for (let attempt = 0; ; attempt += 1) {
+        await throttle?.wait(options.url);
+        let response;
+        try {
+            response = await gotScraping({
+                ...options,
+                proxyUrl: await resolveProxyUrl({ proxyManager, session }),
+                throwHttpErrors: false,
+                timeout: { request: 30000 },
+                retry: { limit: 0 },
+                headers: { ...getSessionHeaders(session), ...options.headers },
+                cookieJar: session?.cookieJar,
+            });
+        } catch (err) {
+            proxyManager?.recordError(null, session, err?.message || String(err));
+            if (attempt >= HTTP_MAX_RETRIES) throw err;
+            await sleep(throttle ? throttle.getBackoffMs(attempt) : getBackoffMs(attempt, DEFAULT_BACKOFF));
+            continue;
+        }
+        const { statusCode } = response;
+        proxyManager?.recordResponse(null, session, statusCode);
+        const delayMs = throttle?.recordResponse(options.url, statusCode, response.headers['retry-after']);
+        if (!BLOCKED_STATUS_CODES.includes(statusCode) || attempt >= HTTP_MAX_RETRIES) return response;
+        logger?.debug?.(`Blocked (${statusCode}), retrying ${options.url}`);
+        // With a throttle, the wait before the next attempt covers the backoff.
+        if (!throttle) await sleep(Math.max(delayMs || 0, getBackoffMs(attempt, DEFAULT_BACKOFF)));
+    }
+};
+
+// JSON request that reports the status, for callers that react to it (e.g. refreshing an expired token).
+// `form` is sent as an urlencoded POST body; redirects are not followed so their `location` can be read.
+export const requestJson = async ({
+    url,
+    method = 'GET',
+    headers = {},
+    form,
+    session,
+    proxyManager,
+    throttle,
+    logger,
+}) => {
+    try {
+        const response = await sendRequest(
+            {
+                url,
+                method,
+                form,
+                // Redirects and some errors have no JSON body, so it is parsed here rather than by got.
+                responseType: 'text',
+                followRedirect: false,
+                headers: { Accept: 'application/json,text/plain;q=0.9,*/*;q=0.8', ...headers },
+            },
+            { session, proxyManager, throttle, logger },
+        );
+        let body = null;
+        try {
+            body = response.body ? JSON.parse(response.body) : null;
+        } catch {
+            logger?.debug?.(`Non-JSON response (${response.statusCode}) ${url}`);
+        }
+        return { statusCode: response.statusCode, headers: response.headers, body };
+    } catch (err) {
+        logger?.debug?.(`JSON request error: ${err?.message || err}`);
+        return { statusCode: null, headers: {}, body: null };
+    }
+};
+
+export const fetchJson = async ({ url, session, proxyManager, throttle, logger }) => {
+    try {
+        const response = await sendRequest(
+            { url, responseType: 'json', headers: { Accept: 'application/json,text/plain;q=0.9,*/*;q=0.8' } },
+            { session, proxyManager, throttle, logger },
+        );
+
+        if (response.statusCode >= 200 && response.statusCode < 300 && response.body) {
+            return response.body;
+        }
+
+        logger?.debug?.(`JSON request failed (${response.statusCode}) ${url}`);
+        return null;
+    } catch (err) {
+        logger?.debug?.(`JSON request error: ${err?.message || err}`);
+        return null;
+    }
+};
+
+export const fetchHtml = async ({ url, session, proxyManager, throttle, logger }) => {
+    try {
+        const response = await sendRequest(
+            { url, responseType: 'text', headers: { Accept: 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.8' } },
+            { session, proxyManager, throttle, logger },
+        );
+
+        if (response.statusCode >= 200 && response.statusCode < 300 && response.body) {
+            return response.body;
+        }
+
+        logger?.debug?.(`HTML request failed (${response.statusCode}) ${url}`);
+        return null;
+    } catch (err) {
+        logger?.debug?.(`HTML request error: ${err?.message || err}`);
+        return null;
+    }
+};
@@ -0,0 +1,43 @@
+import { LOCALIZED_FIELDS } from './constants.js';
+
+// Language versions of a product share its ID; the URL slug is translated, the trailing `<id>.html` is not.
+export const getProductKey = (item) => {
+    if (item?.productId) return String(item.productId);
+    try {
+        const last = new URL(item.url).pathname.split('/').filter(Boolean).pop();
+        return last ? last.replace(/\.html$/, '') : null;
+    } catch {
+        return null;
+    }
+};
+
+export const pickLocalizedFields = (item) => {
+    const fields = {};
+    for (const field of LOCALIZED_FIELDS) {
+        fields[field] = item?.[field] ?? (['features', 'colors'].includes(field) ? [] : null);
+    }
+    return fields;
+};
+
+// `translations` maps a locale to the product as scraped from that language site.
+export const mergeLocalizedItem = (item, translations) => {
+    const localized = { [item.locale]: pickLocalizedFields(item) };
+    for (const [locale, translated] of Object.entries(translations || {})) {
+        localized[locale] = pickLocalizedFields(translated);
+    }
+    return { ...item, localized };
+};
+
+// Adds `colorNames` ({ en, fr }) to each variant, matched by variant ID and falling back to the color code.
+export const mergeLocalizedVariants = (variants, primaryLocale, translations) =>
+    (variants || []).map((variant) => {
+        const colorNames = { [primaryLocale]: variant.colorName ?? null };
+        for (const [locale, translated] of Object.entries(translations || {})) {
+            const others = Array.isArray(translated?.variants) ? translated.variants : [];
+            const match =
+                others.find((other) => variant.variantId && other.variantId === variant.variantId) ||
+                others.find((other) => variant.colorCode && other.colorCode === variant.colorCode);
+            colorNames[locale] = match?.colorName ?? null;
+        }
+        return { ...variant, colorNames };
+    });
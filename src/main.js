@@ -1,698 +1,92 @@
 import { Actor, log } from 'apify';
-import { CheerioCrawler } from 'crawlee';
-import { gotScraping } from 'got-scraping';
-import { HeaderGenerator } from 'header-generator';
 import { load } from 'cheerio';
-
-const BASE_URL = 'https://www.brownsshoes.com';
-const DEFAULT_MAX_ITEMS = 20;
-const DEFAULT_MAX_PAGES = 50;
-const DEFAULT_PAGE_SIZE = 20;
-
-const headerGenerator = new HeaderGenerator({
-    browsers: [{ name: 'chrome', minVersion: 114 }],
-    devices: ['desktop'],
-    operatingSystems: ['windows', 'macos', 'linux'],
-});
-
-const proxyState = {
-    disabled: false,
-    reason: null,
-    authFailed: false,
-};
-
-const toAbs = (href) => {
-    try {
-        return new URL(href, BASE_URL).href;
-    } catch {
-        return null;
-    }
-};
-
-const normalizeProductUrl = (href) => {
-    if (!href) return null;
-    try {
-        const url = new URL(href, BASE_URL);
-        if (url.pathname.includes('/product/')) {
-            url.search = '';
-            url.hash = '';
-        }
-        return url.href;
-    } catch {
-        return null;
-    }
-};
-
-const toNumber = (value) => {
-    if (value === null || value === undefined || value === '') return null;
-    const num = Number(String(value).replace(/[^\d.]/g, ''));
-    return Number.isFinite(num) ? num : null;
-};
-
-const toBoolean = (value, defaultValue = false) => {
-    if (value === null || value === undefined) return defaultValue;
-    if (typeof value === 'boolean') return value;
-    if (typeof value === 'number') return value === 1;
-    if (typeof value === 'string') {
-        const normalized = value.trim().toLowerCase();
-        return ['true', '1', 'yes', 'y'].includes(normalized);
-    }
-    return defaultValue;
-};
-
-const uniqStrings = (values) => [...new Set(values.filter(Boolean))];
-
-const decodeHtmlEntities = (value) => {
-    if (!value || typeof value !== 'string') return value;
-    return value
-        .replace(/&quot;/g, '"')
-        .replace(/&#34;/g, '"')
-        .replace(/&#39;/g, "'")
-        .replace(/&apos;/g, "'")
-        .replace(/&lt;/g, '<')
-        .replace(/&gt;/g, '>')
-        .replace(/&amp;/g, '&');
-};
-
-const parseJsonAttribute = (value) => {
-    if (!value) return null;
-    const decoded = decodeHtmlEntities(value);
-    try {
-        return JSON.parse(decoded);
-    } catch {
-        return null;
-    }
-};
-
-const getSessionHeaders = (session) => {
-    if (!session) return headerGenerator.getHeaders();
-    if (!session.userData.headers) {
-        session.userData.headers = headerGenerator.getHeaders();
-    }
-    return session.userData.headers;
-};
-
-const isProxyAuthError = (message) => {
-    if (!message) return false;
-    const text = message.toString();
-    return (
-        text.includes('UPSTREAM407') ||
-        text.includes('Proxy responded with 597') ||
-        /proxy/i.test(text) && /407|597/.test(text)
-    );
-};
-
-const disableProxy = (reason, logger) => {
-    if (proxyState.disabled) return;
-    proxyState.disabled = true;
-    proxyState.reason = reason || 'Proxy authentication failed';
-    logger?.warning?.(`Proxy disabled for this run: ${proxyState.reason}`);
-};
-
-const resolveProxyUrl = async ({ proxyConfiguration, session, logger }) => {
-    if (!proxyConfiguration || proxyState.disabled) return undefined;
-    try {
-        return await proxyConfiguration.newUrl(session?.id);
-    } catch (err) {
-        disableProxy(`Proxy configuration error: ${err?.message || err}`, logger);
-        return undefined;
-    }
-};
-
-const extractJsonObject = (text, startIndex) => {
-    let depth = 0;
-    let inString = false;
-    let escaped = false;
-    for (let i = startIndex; i < text.length; i += 1) {
-        const ch = text[i];
-        if (inString) {
-            if (escaped) {
-                escaped = false;
-            } else if (ch === '\\') {
-                escaped = true;
-            } else if (ch === '"') {
-                inString = false;
-            }
-            continue;
-        }
-        if (ch === '"') {
-            inString = true;
-            continue;
-        }
-        if (ch === '{') {
-            depth += 1;
-        } else if (ch === '}') {
-            depth -= 1;
-            if (depth === 0) {
-                return text.slice(startIndex, i + 1);
-            }
-        }
-    }
-    return null;
-};
-
-const extractJsonAfterToken = (html, token) => {
-    const tokenIndex = html.indexOf(token);
-    if (tokenIndex === -1) return null;
-    const separatorIndex = html.indexOf(':', tokenIndex + token.length);
-    const assignIndex = html.indexOf('=', tokenIndex + token.length);
-    const pivot = separatorIndex !== -1 ? separatorIndex : assignIndex;
-    if (pivot === -1) return null;
-    const startIndex = html.indexOf('{', pivot);
-    if (startIndex === -1) return null;
-    const raw = extractJsonObject(html, startIndex);
-    if (!raw) return null;
-    try {
-        return JSON.parse(raw);
-    } catch {
-        return null;
-    }
-};
-
-const extractPreloadedState = (html) => {
-    return (
-        extractJsonAfterToken(html, '"__PRELOADED_STATE__"') ||
-        extractJsonAfterToken(html, '__PRELOADED_STATE__')
-    );
-};
-
-const extractProductSearchFromState = (state) => {
-    const queries = state?.__reactQuery?.queries;
-    if (!Array.isArray(queries)) return null;
-
-    for (const query of queries) {
-        const key = query?.queryKey;
-        if (!Array.isArray(key)) continue;
-        if (!key.some((part) => String(part).includes('product-search'))) continue;
-
-        const params = key[key.length - 1] && typeof key[key.length - 1] === 'object' ? key[key.length - 1] : {};
-        const data = query?.state?.data;
-        const pages = Array.isArray(data?.pages) ? data.pages : [];
-        const hits = pages.flatMap((page) => (Array.isArray(page?.hits) ? page.hits : []));
-        const meta = pages[0] || {};
-        return {
-            hits,
-            total: meta.total ?? null,
-            limit: meta.limit ?? null,
-            offset: meta.offset ?? 0,
-            params,
-        };
-    }
-    return null;
-};
-
-const extractProductDetailFromState = (state) => {
-    const queries = state?.__reactQuery?.queries;
-    if (!Array.isArray(queries)) return null;
-
-    for (const query of queries) {
-        const key = query?.queryKey;
-        if (!Array.isArray(key)) continue;
-        if (!key.some((part) => String(part).includes('/products/'))) continue;
-        const data = query?.state?.data;
-        if (data && typeof data === 'object') return data;
-    }
-
-    return null;
-};
-
-const extractBootstrapConfig = (html) => {
-    const shortCode = html.match(/shortCode"?:\"([^\"]+)"/)?.[1] || null;
-    const clientId = html.match(/clientId"?:\"([^\"]+)"/)?.[1] || null;
-    const organizationId = html.match(/organizationId"?:\"([^\"]+)"/)?.[1] || null;
-    const siteId = html.match(/siteId"?:\"([^\"]+)"/)?.[1] || null;
-    const preloadedState = extractPreloadedState(html);
-    const productSearch = preloadedState ? extractProductSearchFromState(preloadedState) : null;
-
-    return {
-        shortCode,
-        clientId,
-        organizationId,
-        siteId,
-        productSearch,
-    };
-};
-
-const buildSearchParams = ({ params, offset, limit, brand }) => {
-    const searchParams = new URLSearchParams();
-
-    if (params?.siteId) searchParams.set('siteId', params.siteId);
-    if (params?.clientId) searchParams.set('clientId', params.clientId);
-    if (params?.locale) searchParams.set('locale', params.locale);
-
-    if (Array.isArray(params?.refine)) {
-        for (const refine of params.refine) {
-            searchParams.append('refine', refine);
-        }
-    }
-
-    if (brand) {
-        searchParams.append('refine', `c_brand=${brand}`);
-    }
-
-    if (Array.isArray(params?.expand)) {
-        for (const expand of params.expand) {
-            searchParams.append('expand', expand);
-        }
-    }
-
-    if (params?.allImages !== undefined) searchParams.set('allImages', String(params.allImages));
-    if (params?.perPricebook !== undefined) searchParams.set('perPricebook', String(params.perPricebook));
-    if (params?.allVariationProperties !== undefined) {
-        searchParams.set('allVariationProperties', String(params.allVariationProperties));
-    }
-
-    searchParams.set('offset', String(offset));
-    searchParams.set('limit', String(limit));
-
-    return searchParams;
-};
-
-const buildApiEndpoints = ({ shortCode, organizationId }) => {
-    if (!shortCode || !organizationId) return [];
-    return [
-        `https://${shortCode}.api.commercecloud.salesforce.com/shopper-search/v1/organizations/${organizationId}/product-search`,
-        `https://${shortCode}.api.commercecloud.salesforce.com/search/v1/organizations/${organizationId}/product-search`,
-    ];
-};
-
-const fetchJson = async ({ url, session, proxyConfiguration, logger }) => {
-    try {
-        const proxyUrl = await resolveProxyUrl({ proxyConfiguration, session, logger });
-        const response = await gotScraping({
-            url,
-            proxyUrl,
-            responseType: 'json',
-            throwHttpErrors: false,
-            timeout: { request: 30000 },
-            retry: { limit: 2 },
-            headers: {
-                ...getSessionHeaders(session),
-                Accept: 'application/json,text/plain;q=0.9,*/*;q=0.8',
-            },
-            cookieJar: session?.cookieJar,
-        });
-
-        if (response.statusCode >= 200 && response.statusCode < 300 && response.body) {
-            return response.body;
-        }
-
-        logger?.debug?.(`JSON request failed (${response.statusCode}) ${url}`);
-        return null;
-    } catch (err) {
-        const message = err?.message || String(err);
-        if (isProxyAuthError(message)) {
-            proxyState.authFailed = true;
-            disableProxy('Proxy authentication failed', logger);
-        }
-        logger?.debug?.(`JSON request error: ${message}`);
-        return null;
-    }
-};
-
-const fetchHtml = async ({ url, session, proxyConfiguration, logger }) => {
-    try {
-        const proxyUrl = await resolveProxyUrl({ proxyConfiguration, session, logger });
-        const response = await gotScraping({
-            url,
-            proxyUrl,
-            responseType: 'text',
-            throwHttpErrors: false,
-            timeout: { request: 30000 },
-            retry: { limit: 2 },
-            headers: {
-                ...getSessionHeaders(session),
-                Accept: 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.8',
-            },
-            cookieJar: session?.cookieJar,
-        });
-
-        if (response.statusCode >= 200 && response.statusCode < 300 && response.body) {
-            return response.body;
-        }
-
-        logger?.debug?.(`HTML request failed (${response.statusCode}) ${url}`);
-        return null;
-    } catch (err) {
-        const message = err?.message || String(err);
-        if (isProxyAuthError(message)) {
-            proxyState.authFailed = true;
-            disableProxy('Proxy authentication failed', logger);
-        }
-        logger?.debug?.(`HTML request error: ${message}`);
-        return null;
-    }
-};
-
-const mapVariationValues = (variationAttributes, ids) => {
-    const values = [];
-    for (const attr of variationAttributes || []) {
-        if (!attr || !attr.id) continue;
-        if (!ids.includes(String(attr.id).toLowerCase())) continue;
-        const attrValues = Array.isArray(attr.values) ? attr.values : [];
-        for (const entry of attrValues) {
-            if (entry?.name && typeof entry.name === 'string') values.push(entry.name);
-            if (entry?.name?.en) values.push(entry.name.en);
-            if (entry?.value && typeof entry.value === 'string') values.push(entry.value);
-        }
-    }
-    return uniqStrings(values);
-};
-
-const mapSearchHit = (hit) => {
-    if (!hit || typeof hit !== 'object') return null;
-    const variationAttributes = hit.c_variationAttributes || hit.variationAttributes || [];
-    const colors = mapVariationValues(variationAttributes, ['color', 'colour']);
-    const sizes = mapVariationValues(variationAttributes, ['size']);
-    const image =
-        hit?.image?.link ||
-        hit?.image?.src ||
-        hit?.imageGroups?.[0]?.images?.[0]?.link ||
-        hit?.imageGroups?.[0]?.images?.[0]?.src;
-    const price = toNumber(hit.price ?? hit.pricePerUnit ?? hit.priceMin ?? hit.pricePerUnitMin);
-    const priceMax = toNumber(hit.priceMax ?? hit.pricePerUnitMax);
-    const originalPrice = priceMax && price && priceMax > price ? priceMax : null;
-
-    const productUrl = hit.c_productUrl || hit.productUrl || hit.url || hit.link;
-    const represented = hit.representedProduct || {};
-    const images = Array.isArray(hit.imageGroups)
-        ? uniqStrings(
-            hit.imageGroups
-                .flatMap((group) => group?.images || [])
-                .map((img) => img?.link || img?.src)
-                .filter(Boolean)
-        )
-        : [];
-    const categories = uniqStrings([
-        ...(Array.isArray(hit.c_productCategories) ? hit.c_productCategories : []),
-        ...(Array.isArray(represented.c_primaryCategories) ? represented.c_primaryCategories : []),
-    ]);
-
-    return {
-        title: hit.productName || hit.name || null,
-        brand: hit.c_brand || hit.brand?.name || hit.brand || null,
-        price,
-        originalPrice,
-        currency: hit.currency || 'CAD',
-        url: productUrl ? normalizeProductUrl(productUrl) : null,
-        image: image ? toAbs(image) : null,
-        images: images.map((link) => toAbs(link)),
-        colors,
-        sizes,
-        inStock: hit.orderable ?? (hit.representedProduct?.c_qtyInStock > 0),
-        productId: hit.productId || hit.representedProduct?.id || null,
-        description: represented.c_productDescription || null,
-        features: Array.isArray(represented.c_productFeatures) ? represented.c_productFeatures : [],
-        attributes: Array.isArray(represented.c_productAttributesDisplay) ? represented.c_productAttributesDisplay : [],
-        categories,
-        gender: Array.isArray(represented.c_gender) ? represented.c_gender : [],
-        materials: Array.isArray(represented.c_material) ? represented.c_material : [],
-        colorName: represented.c_colorname || null,
-    };
-};
-
-const mapDetailProduct = (product) => {
-    if (!product || typeof product !== 'object') return null;
-    const variationAttributes = product.c_variationAttributes || product.variationAttributes || [];
-    const colors = mapVariationValues(variationAttributes, ['color', 'colour']);
-    const sizes = mapVariationValues(variationAttributes, ['size']);
-    const images = Array.isArray(product.imageGroups)
-        ? uniqStrings(
-            product.imageGroups
-                .flatMap((group) => group?.images || [])
-                .map((img) => img?.link || img?.src)
-                .filter(Boolean)
-        )
-        : [];
-    const image = images[0] || product?.image?.link || product?.image?.src || null;
-    const price = toNumber(product.price ?? product.pricePerUnit ?? product.priceMin ?? product.pricePerUnitMin);
-    const priceMax = toNumber(product.priceMax ?? product.pricePerUnitMax);
-    const originalPrice = priceMax && price && priceMax > price ? priceMax : null;
-
-    const represented = product.representedProduct || product.master || {};
-    const categories = uniqStrings([
-        ...(Array.isArray(product.c_productCategories) ? product.c_productCategories : []),
-        ...(Array.isArray(product.c_primaryCategories) ? product.c_primaryCategories : []),
-        ...(Array.isArray(represented.c_primaryCategories) ? represented.c_primaryCategories : []),
-    ]);
-
-    return {
-        title: product.name || product.productName || null,
-        brand: product.brand?.name || product.brand || null,
-        price,
-        originalPrice,
-        currency: product.currency || 'CAD',
-        url: product.slugUrl || product.url || product.c_productUrl || null,
-        image: image ? toAbs(image) : null,
-        images: images.map((link) => toAbs(link)),
-        colors,
-        sizes,
-        inStock:
-            product.orderable ??
-            product.inventory?.orderable ??
-            (Number.isFinite(product.c_qtyInStock) ? product.c_qtyInStock > 0 : undefined),
-        productId: product.id || product.productId || represented.id || null,
-        description:
-            product.c_productDescription ||
-            product.longDescription ||
-            product.shortDescription ||
-            represented.c_productDescription ||
-            null,
-        features: Array.isArray(product.c_productFeatures)
-            ? product.c_productFeatures
-            : Array.isArray(represented.c_productFeatures)
-                ? represented.c_productFeatures
-                : [],
-        attributes: Array.isArray(product.c_productAttributesDisplay)
-            ? product.c_productAttributesDisplay
-            : Array.isArray(represented.c_productAttributesDisplay)
-                ? represented.c_productAttributesDisplay
-                : [],
-        categories,
-        gender: Array.isArray(product.c_gender) ? product.c_gender : Array.isArray(represented.c_gender) ? represented.c_gender : [],
-        materials: Array.isArray(product.c_material)
-            ? product.c_material
-            : Array.isArray(represented.c_material)
-                ? represented.c_material
-                : [],
-        colorName: product.c_colorname || represented.c_colorname || null,
-    };
-};
-
-const extractJsonLdProducts = ($) => {
-    const products = [];
-    $('script[type="application/ld+json"]').each((_, el) => {
-        const raw = $(el).contents().text().trim();
-        if (!raw) return;
-        try {
-            const data = JSON.parse(raw);
-            const nodes = Array.isArray(data) ? data : [data];
-            for (const node of nodes) {
-                if (!node) continue;
-                if (node['@type'] === 'Product') {
-                    products.push(node);
-                }
-                if (node['@type'] === 'ItemList' && Array.isArray(node.itemListElement)) {
-                    for (const item of node.itemListElement) {
-                        if (item?.item?.['@type'] === 'Product') {
-                            products.push(item.item);
-                        }
-                    }
-                }
-            }
-        } catch {
-            return;
-        }
-    });
-
-    return products.map((product) => {
-        const offers = Array.isArray(product.offers) ? product.offers[0] : product.offers;
-        return {
-            title: product.name || null,
-            brand: product.brand?.name || product.brand || null,
-            price: toNumber(offers?.price),
-            originalPrice: null,
-            currency: offers?.priceCurrency || 'CAD',
-            url: product.url ? normalizeProductUrl(product.url) : null,
-            image: Array.isArray(product.image) ? toAbs(product.image[0]) : toAbs(product.image),
-            images: Array.isArray(product.image) ? product.image.map((img) => toAbs(img)) : [],
-            colors: [],
-            sizes: [],
-            inStock: String(offers?.availability || '').toLowerCase().includes('instock'),
-            productId: product.sku || null,
-            description: product.description || null,
-        };
-    });
-};
-
-const extractProductsFromHtml = ($) => {
-    const products = [];
-    const seenKeys = new Set();
-
-    const pushProduct = (item) => {
-        if (!item) return;
-        const key = item.url || item.productId;
-        if (!key || seenKeys.has(key)) return;
-        seenKeys.add(key);
-        products.push(item);
-    };
-
-    // Global data-segment fallback (covers grid responses where structure may differ)
-    $('[data-segment]').each((_, el) => {
-        const data = parseJsonAttribute($(el).attr('data-segment'));
-        if (!data || typeof data !== 'object') return;
-        const url = data.url ? normalizeProductUrl(data.url) : null;
-        const image = data.image_url ? toAbs(data.image_url) : null;
-        const colors = data.variant ? [String(data.variant)] : [];
-        const sizes = data.size ? [String(data.size)] : [];
-        pushProduct({
-            title: data.name || null,
-            brand: data.brand || null,
-            price: toNumber(data.price),
-            originalPrice: toNumber(data.retail_price),
-            currency: data.currency || 'CAD',
-            url,
-            image,
-            images: image ? [image] : [],
-            colors,
-            sizes,
-            inStock: true,
-            productId: data.product_id || data.stylenumber || data.sku || null,
-        });
-    });
-
-    const getImageFromTag = (img) => {
-        let src =
-            img.attr('data-src') ||
-            img.attr('data-lazy') ||
-            img.attr('src') ||
-            null;
-        const srcset = img.attr('data-srcset') || img.attr('srcset');
-        if (!src && srcset) {
-            src = srcset.split(',')[0]?.trim().split(' ')[0] || null;
-        }
-        return src;
-    };
-
-    $('.product-tile').each((_, el) => {
-        const tile = $(el);
-        const segmentEl = tile.find('[data-segment]').first();
-        const segment = parseJsonAttribute(segmentEl.attr('data-segment')) || null;
-        const gtm = parseJsonAttribute(tile.attr('data-gtm')) || null;
-        const impression = gtm?.ecommerce?.impressions || null;
-
-        const link = tile.find('a[href*="/product/"]').first();
-        const url = segment?.url ? normalizeProductUrl(segment.url) : link.length ? normalizeProductUrl(link.attr('href')) : null;
-        const img = tile.find('img').first();
-        const image = segment?.image_url ? segment.image_url : img.length ? getImageFromTag(img) : null;
-
-        const title =
-            segment?.name ||
-            impression?.name ||
-            impression?.dimension1 ||
-            link.attr('aria-label') ||
-            img.attr('alt') ||
-            null;
-        const brand = segment?.brand || impression?.brand || impression?.dimension6 || null;
-        const price = toNumber(segment?.price ?? impression?.price ?? impression?.dimension12 ?? impression?.dimension7);
-        const originalPrice = toNumber(segment?.retail_price ?? impression?.dimension11);
-        const colors = segment?.variant ? [String(segment.variant)] : impression?.variant ? [String(impression.variant)] : [];
-        const sizes = segment?.size ? [String(segment.size)] : [];
-        const productId = segment?.product_id || impression?.id || impression?.dimension9 || null;
-        const currency = segment?.currency || gtm?.ecommerce?.currencyCode || 'CAD';
-
-        if (url) {
-            pushProduct({
-                title: title ? String(title).trim() : null,
-                brand,
-                price,
-                originalPrice,
-                currency,
-                url,
-                image: image ? toAbs(image) : null,
-                images: image ? [toAbs(image)] : [],
-                colors,
-                sizes,
-                inStock: true,
-                productId,
-            });
-        }
-    });
-
-    $('a[href*="/product/"]').each((_, el) => {
-        const href = $(el).attr('href');
-        const url = href ? normalizeProductUrl(href) : null;
-        if (!url || seenKeys.has(url)) return;
-
-        const title = $(el).attr('aria-label') || $(el).find('img').attr('alt') || null;
-        const card = $(el).closest('article, li, div');
-        const priceText =
-            card.find('[class*="price"], [data-testid*="price"], [class*="Price"]').first().text() || '';
-        const price = toNumber(priceText);
-        const image = $(el).find('img').attr('data-src') || $(el).find('img').attr('src') || null;
-
-        pushProduct({
-            title: title ? title.trim() : null,
-            brand: null,
-            price,
-            originalPrice: null,
-            currency: 'CAD',
-            url,
-            image: image ? toAbs(image) : null,
-            images: image ? [toAbs(image)] : [],
-            colors: [],
-            sizes: [],
-            inStock: true,
-            productId: null,
-        });
-    });
-
-    return products;
-};
-
-const getLocaleFromUrl = (url) => {
-    try {
-        const parts = new URL(url).pathname.split('/').filter(Boolean);
-        return parts[0] || null;
-    } catch {
-        return null;
-    }
-};
-
-const getCgidFromRefine = (refine) => {
-    if (!Array.isArray(refine)) return null;
-    const entry = refine.find((item) => String(item).startsWith('cgid='));
-    if (!entry) return null;
-    const value = String(entry).split('=').slice(1).join('=');
-    return value || null;
-};
-
-const getCgidFromUrl = (url) => {
-    try {
-        return new URL(url).searchParams.get('cgid');
-    } catch {
-        return null;
-    }
-};
-
-const buildGridUrl = ({ requestUrl, siteId, locale, cgid, start, size }) => {
-    if (!siteId || !locale || !cgid || !Number.isFinite(start)) return null;
-    const base = new URL(`${BASE_URL}/on/demandware.store/Sites-${siteId}-Site/${locale}/Search-UpdateGrid`);
-    try {
-        const current = new URL(requestUrl);
-        for (const [key, value] of current.searchParams.entries()) {
-            if (key === 'start' || key === 'sz' || key === 'page') continue;
-            base.searchParams.append(key, value);
-        }
-    } catch {
-        // Ignore invalid URLs and continue with minimal params.
-    }
-
-    base.searchParams.set('cgid', cgid);
-    base.searchParams.set('start', String(start));
-    base.searchParams.set('sz', String(size || DEFAULT_PAGE_SIZE));
-    return base.href;
-};
+import { CheerioCrawler, RetryRequestError } from 'crawlee';
+
+import { hasAlertRules, matchAlertRules, needsPriceHistory, parseAlertRules, sendWebhook } from './alerts.js';
+import { getBrowserFallbackReason } from './browser.js';
+import { getDetailCacheKey, getExpiredUrls, getListingFingerprint, hasCachedDetail } from './cache.js';
+import { extractCategoriesFromNavigation, flattenCategoryTree } from './categories.js';
+import { getColorFamilies, getColorFamily, matchesAnyColor } from './colors.js';
+import {
+    API_CACHE_KEY,
+    API_LOCALES,
+    BASE_URL,
+    BLOCKED_STATUS_CODES,
+    BROWSER_MAX_CONCURRENCY,
+    BROWSER_READY_SELECTORS,
+    BROWSER_READY_TIMEOUT_SECS,
+    CATEGORY_COUNT_CONCURRENCY,
+    CONTEXT_FIELDS,
+    CRAWL_STATE_KEY,
+    DEFAULT_API_CACHE_STORE,
+    DEFAULT_DETAIL_CACHE_STORE,
+    DEFAULT_DETAIL_CACHE_TTL_HOURS,
+    DEFAULT_HEALTH_THRESHOLDS,
+    DEFAULT_MAX_ITEMS,
+    DEFAULT_MAX_PAGES,
+    DEFAULT_PAGE_SIZE,
+    DEFAULT_PRICE_HISTORY_STORE,
+    DEFAULT_REVIEWS_DATASET,
+    DEFAULT_STORE_RADIUS,
+    DETAIL_CACHE_KEY,
+    EXPORT_FORMATS,
+    LISTING_SNAPSHOT_KEY,
+    LOCALES,
+    MAX_PRICE_HISTORY_ENTRIES,
+    MAX_THROTTLE_WAIT_SECS,
+    PAGE_TYPES,
+    PRICE_HISTORY_FIELDS,
+    PRODUCT_API_BATCH_SIZE,
+    PROMOTION_EXPAND,
+    PROXY_AUTH_STATUS_CODES,
+    WATCHLIST_FIELDS,
+    WATCHLIST_PRODUCT_EXPAND,
+} from './constants.js';
+import { buildExports } from './exports.js';
+import {
+    extractBootstrapConfig,
+    extractCategoriesFromState,
+    extractJsonLdProductNodes,
+    extractJsonLdProducts,
+    extractPreloadedState,
+    extractProductDetailFromState,
+    extractProductsFromHtml,
+} from './extractors.js';
+import { selectFields } from './fields.js';
+import { createHealthReport, evaluateHealth } from './health.js';
+import {
+    computePriceHistory,
+    diffListingSnapshot,
+    getPreviousEntry,
+    getPriceHistoryKey,
+    hasPriceOrStockChanged,
+} from './history.js';
+import { fetchHtml, fetchJson, getSessionHeaders } from './http.js';
+import { getProductKey, mergeLocalizedItem, mergeLocalizedVariants } from './locales.js';
+import { mapDetailProduct, mapSearchHit, mapSizeAvailability } from './mappers.js';
+import { getDiscountPercent, getPriceRange, isClearanceItem } from './promotions.js';
+import { createProxyManager, getProxyTierName, isProxyAuthError } from './proxy.js';
+import { buildReviewsUrl, extractReviewConfig, getReviewKey, mapJsonLdReviews, mapReviewsResponse } from './reviews.js';
+import {
+    applyUrlRefinements,
+    buildApiEndpoints,
+    buildApiRefinements,
+    buildGridUrl,
+    buildProductUrl,
+    buildSearchParams,
+    buildSearchUrl,
+    getCgidFromRefine,
+    getCgidFromUrl,
+    getLocaleFromUrl,
+    localizeUrl,
+    mergeRefinements,
+    withSearchParam,
+} from './search.js';
+import { createShopperClient } from './shopper.js';
+import { matchesAnySize, parseSize, parseSizeFilter, parseSizes } from './sizes.js';
+import { attachStoreAvailability, mapStores } from './stores.js';
+import { createThrottle, parseRateLimit } from './throttle.js';
+import { mapWithConcurrency, normalizeProductUrl, toBoolean, toNumber, toStringList, uniqStrings } from './utils.js';
 
 // Sitemap fallback removed: the actor operates only on listing/API-style sources.
 
@@ -700,87 +94,356 @@ await Actor.init();
 
 try {
     const input = (await Actor.getInput()) || {};
+    const searchQueries = toStringList(input.searchQueries);
+    const categoryDiscovery = ['tree', 'crawl'].includes(input.categoryDiscovery) ? input.categoryDiscovery : 'off';
     const startUrlsInput = Array.isArray(input.startUrls)
         ? input.startUrls.map((item) => (typeof item === 'string' ? item : item?.url)).filter(Boolean)
         : [];
 
+    // Watchlist products skip the listings: URLs go straight to their detail pages, IDs to the Shopper Products API.
+    const productUrls = toStringList(
+        Array.isArray(input.productUrls)
+            ? input.productUrls.map((item) => (typeof item === 'string' ? item : item?.url))
+            : input.productUrls,
+    );
+    const productIds = toStringList(input.productIds);
+    const watchlistSize = productUrls.length + productIds.length;
+
     const category = typeof input.category === 'string' ? input.category : 'women';
+    // 'both' crawls the English site and merges in the French version of every saved product.
+    const localeMode = ['en', 'fr', 'both'].includes(input.locale) ? input.locale : null;
+    const locales = localeMode === 'both' ? LOCALES : [localeMode || 'en'];
+    const primaryLocale = locales[0];
+    const translationLocales = locales.slice(1);
     const maxItems = Number.isFinite(Number(input.maxItems)) ? Number(input.maxItems) : DEFAULT_MAX_ITEMS;
     const maxPages = Number.isFinite(Number(input.maxPages)) ? Number(input.maxPages) : DEFAULT_MAX_PAGES;
-    const brand = typeof input.brand === 'string' ? input.brand.trim() : '';
-    const color = typeof input.color === 'string' ? input.color.trim() : '';
-    const size = typeof input.size === 'string' ? input.size.trim() : '';
-    const minPrice = Number.isFinite(Number(input.minPrice)) ? Number(input.minPrice) : null;
-    const maxPrice = Number.isFinite(Number(input.maxPrice)) ? Number(input.maxPrice) : null;
-
-    const scrapeDetails = toBoolean(input.scrapeDetails, false);
+    // Single-value `brand`/`color`/`size` are kept for older inputs and merged into the lists.
+    const refinements = {
+        brand: uniqStrings([...toStringList(input.brand), ...toStringList(input.brands)]),
+        color: uniqStrings([...toStringList(input.color), ...toStringList(input.colors)]),
+        size: uniqStrings([...toStringList(input.size), ...toStringList(input.sizes)]),
+        width: toStringList(input.widths),
+        gender: toStringList(input.genders),
+    };
+    const toPrice = (value) =>
+        value !== null && value !== undefined && value !== '' && Number.isFinite(Number(value)) ? Number(value) : null;
+    const minPrice = toPrice(input.minPrice);
+    const maxPrice = toPrice(input.maxPrice);
+    const sort = typeof input.sort === 'string' ? input.sort.trim() : '';
+    const sizeFilters = refinements.size.map(parseSizeFilter).filter(Boolean);
+    // The site only refines on exact size values, so size ranges are applied to the results instead.
+    const hasSizeRange = sizeFilters.some((filter) => filter.isRange);
+    // Nor on color families: "black" has to keep "Black Leather" and "BLK/WHT" too.
+    const hasColorFamily = refinements.color.some((value) => getColorFamilies(value).length);
+    const refineOptions = {
+        refinements: {
+            ...refinements,
+            size: hasSizeRange ? [] : refinements.size,
+            color: hasColorFamily ? [] : refinements.color,
+        },
+        minPrice,
+        maxPrice,
+        sort,
+    };
+    const apiRefinements = buildApiRefinements(refineOptions);
+
+    const outputMode = input.outputMode === 'variants' ? 'variants' : 'products';
+    const scrapeReviews = toBoolean(input.scrapeReviews, false);
+    const reviewsDatasetName =
+        typeof input.reviewsDatasetName === 'string' && input.reviewsDatasetName.trim()
+            ? input.reviewsDatasetName.trim()
+            : DEFAULT_REVIEWS_DATASET;
+    // Variant data (per color/size SKU), reviews and the texts merged across languages are only on detail pages.
+    const scrapeDetails =
+        outputMode === 'variants' || localeMode === 'both' || scrapeReviews || toBoolean(input.scrapeDetails, false);
+    // Detail pages from earlier runs are reused for products whose listing data hasn't changed.
+    const incrementalDetails = scrapeDetails && toBoolean(input.incrementalDetails, false);
+    const detailCacheStoreName =
+        typeof input.detailCacheStoreName === 'string' && input.detailCacheStoreName.trim()
+            ? input.detailCacheStoreName.trim()
+            : DEFAULT_DETAIL_CACHE_STORE;
+    const detailCacheTtlHours =
+        Number(input.detailCacheTtlHours) > 0 ? Number(input.detailCacheTtlHours) : DEFAULT_DETAIL_CACHE_TTL_HOURS;
+    const detailCacheTtlMs = detailCacheTtlHours * 60 * 60 * 1000;
+    // Start URLs whose Shopper API parameters are cached from an earlier run go straight to the API.
+    const apiFirst = toBoolean(input.apiFirst, false);
+    // Pages that come back as bot challenges or client-rendered shells are rendered in a headless browser.
+    const browserFallback = toBoolean(input.browserFallback, false);
+
+    const includeStoreAvailability = toBoolean(input.includeStoreAvailability, false);
+    const storeIds = toStringList(input.storeIds);
+    const postalCode = typeof input.postalCode === 'string' ? input.postalCode.replace(/\s+/g, '').toUpperCase() : '';
+    const storeRadius = Number(input.storeRadius) > 0 ? Number(input.storeRadius) : DEFAULT_STORE_RADIUS;
+
+    const webhookUrls = toStringList(input.webhookUrls);
+    const webhookSecret = typeof input.webhookSecret === 'string' && input.webhookSecret ? input.webhookSecret : null;
+    const alertRules = parseAlertRules(input.alertRules);
+    const alertsEnabled = webhookUrls.length > 0 && hasAlertRules(alertRules);
+
+    // Price drop and restock alerts compare with the previous run, so they need the price history.
+    const trackPriceHistory =
+        toBoolean(input.trackPriceHistory, false) || (alertsEnabled && needsPriceHistory(alertRules));
+    const trackListingChanges = toBoolean(input.trackListingChanges, false);
+    const onlyChangedItems = trackPriceHistory && toBoolean(input.onlyChangedItems, false);
+    const priceHistoryStoreName =
+        typeof input.priceHistoryStoreName === 'string' && input.priceHistoryStoreName.trim()
+            ? input.priceHistoryStoreName.trim()
+            : DEFAULT_PRICE_HISTORY_STORE;
+
+    // Share (0-1) of items allowed to miss a field, or of listing/grid pages allowed to match no product.
+    const healthThresholds = { ...DEFAULT_HEALTH_THRESHOLDS };
+    if (input.healthThresholds && typeof input.healthThresholds === 'object') {
+        for (const [key, value] of Object.entries(input.healthThresholds)) {
+            if (value === null) delete healthThresholds[key];
+            else if (Number.isFinite(Number(value))) healthThresholds[key] = Number(value);
+        }
+    }
+    const failOnHealthIssues = toBoolean(input.failOnHealthIssues, false);
+    const rateLimit = parseRateLimit(input.rateLimit);
+    // `outputFields` may use dotted paths into the raw source object, e.g. `raw.c_heelHeight`.
+    const outputFields = toStringList(input.outputFields);
+    const fieldMapping = {};
+    if (input.fieldMapping && typeof input.fieldMapping === 'object') {
+        for (const [field, name] of Object.entries(input.fieldMapping)) {
+            if (typeof name === 'string' && name.trim()) fieldMapping[field] = name.trim();
+        }
+    }
+    const includeRawData = toBoolean(input.includeRawData, false);
+    const keepRaw = includeRawData || outputFields.some((field) => field === 'raw' || field.startsWith('raw.'));
+    const exportFormats = toStringList(input.exportFormats).filter((format) => EXPORT_FORMATS.includes(format));
 
-    const MAX_ITEMS = maxItems > 0 ? maxItems : DEFAULT_MAX_ITEMS;
+    // Every watched product is checked, whatever `maxItems` says.
+    const MAX_ITEMS = Math.max(maxItems > 0 ? maxItems : DEFAULT_MAX_ITEMS, watchlistSize);
     const MAX_PAGES = maxPages > 0 ? maxPages : DEFAULT_MAX_PAGES;
+    const MAX_REQUEST_RETRIES = 2;
 
     log.info(`Scrape details mode: ${scrapeDetails ? 'on' : 'off'}`);
-
-    const buildStartUrls = () => {
-        if (startUrlsInput.length) return startUrlsInput;
-
-        const url = new URL(`${BASE_URL}/en/${category}`);
-        let refineIndex = 1;
-
-        if (brand) {
-            url.searchParams.set(`prefn${refineIndex}`, 'brand');
-            url.searchParams.set(`prefv${refineIndex}`, brand);
-            refineIndex += 1;
-        }
-        if (color) {
-            url.searchParams.set(`prefn${refineIndex}`, 'color');
-            url.searchParams.set(`prefv${refineIndex}`, color);
-            refineIndex += 1;
-        }
-        if (size) {
-            url.searchParams.set(`prefn${refineIndex}`, 'size');
-            url.searchParams.set(`prefv${refineIndex}`, size);
-            refineIndex += 1;
+    log.info(`Output mode: ${outputMode}`);
+    if (localeMode) log.info(`Locale: ${localeMode}`);
+    if (hasSizeRange)
+        log.info(`Size filter: ${refinements.size.join(', ')} (applied to the results, not sent to the site)`);
+    if (hasColorFamily) {
+        log.info(`Color filter: ${refinements.color.join(', ')} (applied to the results, not sent to the site)`);
+    }
+    if (watchlistSize) log.info(`Watchlist: ${productUrls.length} product URLs, ${productIds.length} product IDs`);
+    if (categoryDiscovery !== 'off') log.info(`Category discovery: ${categoryDiscovery}`);
+    if (includeStoreAvailability) {
+        if (storeIds.length) {
+            log.info(`Store availability: stores ${storeIds.join(', ')}`);
+        } else if (postalCode) {
+            log.info(`Store availability: stores within ${storeRadius} km of ${postalCode}`);
+        } else {
+            log.warning('Store availability needs storeIds or postalCode, skipping store lookups.');
         }
-        if (minPrice !== null) url.searchParams.set('pmin', String(minPrice));
-        if (maxPrice !== null) url.searchParams.set('pmax', String(maxPrice));
+    }
+    if (outputFields.length) log.info(`Output fields: ${outputFields.join(', ')}`);
+    if (alertsEnabled) log.info(`Alerts: posting to ${webhookUrls.length} webhook URL(s)`);
+    else if (webhookUrls.length) log.warning('Webhook URLs are set but no alert rules, no alerts will be sent.');
+    if (exportFormats.length) log.info(`Export formats: ${exportFormats.join(', ')}`);
+    if (scrapeReviews) log.info(`Reviews: dataset "${reviewsDatasetName}"`);
+    if (trackListingChanges) log.info(`Listing change detection: store "${priceHistoryStoreName}"`);
+    if (apiFirst) log.info(`API-first: store "${DEFAULT_API_CACHE_STORE}"`);
+    if (browserFallback) log.info('Browser fallback: on');
+    if (incrementalDetails)
+        log.info(`Incremental details: store "${detailCacheStoreName}", TTL ${detailCacheTtlHours}h`);
+    if (trackPriceHistory) {
+        log.info(`Price history: store "${priceHistoryStoreName}"${onlyChangedItems ? ', only changed items' : ''}`);
+    }
+
+    // Leaf categories found by category discovery in 'crawl' mode.
+    let discoveredLeaves = [];
 
-        return [url.href];
+    const buildStartUrls = () => {
+        const sources = [
+            ...discoveredLeaves.map((leaf) => ({ url: leaf.url, searchQuery: null, categoryPath: leaf.path })),
+            ...startUrlsInput.map((url) => ({ url, searchQuery: null })),
+            ...searchQueries.map((query) => ({ url: buildSearchUrl(query, primaryLocale), searchQuery: query })),
+        ];
+        if (!sources.length && !watchlistSize)
+            sources.push({ url: `${BASE_URL}/${primaryLocale}/${category}`, searchQuery: null });
+        return sources
+            .map((entry) => {
+                try {
+                    // Without a `locale` input, custom start URLs keep the language they point at.
+                    const url = localeMode ? localizeUrl(entry.url, primaryLocale) : entry.url;
+                    const urlLocale = getLocaleFromUrl(url);
+                    const locale = LOCALES.includes(urlLocale) ? urlLocale : primaryLocale;
+                    return { ...entry, locale, url: applyUrlRefinements(url, refineOptions) };
+                } catch {
+                    log.warning(`Skipping invalid start URL: ${entry.url}`);
+                    return null;
+                }
+            })
+            .filter(Boolean);
     };
 
-    let proxyConfiguration;
-    if (input.proxyConfiguration) {
+    // Ordered proxy fallback chain, by default the proxy configuration and then no proxy.
+    const proxyTierInputs =
+        Array.isArray(input.proxyTiers) && input.proxyTiers.length
+            ? input.proxyTiers
+            : [input.proxyConfiguration, { useApifyProxy: false }];
+    const proxyTiers = [];
+    for (const options of proxyTierInputs) {
+        const name = getProxyTierName(options);
+        let configuration = null;
         try {
-            proxyConfiguration = await Actor.createProxyConfiguration(input.proxyConfiguration);
+            configuration = (options && (await Actor.createProxyConfiguration(options))) || null;
         } catch (err) {
-            log.warning(`Invalid proxy configuration, running without proxy. ${err?.message || err}`);
-            proxyConfiguration = undefined;
+            log.warning(`Invalid proxy configuration "${name}", skipping it. ${err?.message || err}`);
+            continue;
         }
+        // Two tiers without a proxy in a row would only repeat the same attempt.
+        if (!configuration && proxyTiers.length && !proxyTiers[proxyTiers.length - 1].configuration) continue;
+        proxyTiers.push({ name: configuration ? name : 'none', configuration });
     }
+    if (!proxyTiers.length) proxyTiers.push({ name: 'none', configuration: null });
+    log.info(`Proxy tiers: ${proxyTiers.map((tier) => tier.name).join(' → ')}`);
+    if (rateLimit.requestsPerMinute) log.info(`Rate limit: ${rateLimit.requestsPerMinute} requests/minute per host`);
 
-    let requestQueue = await Actor.openRequestQueue();
+    const requestQueue = await Actor.openRequestQueue();
 
-    let itemsEnqueued = 0;
-    let itemsSaved = 0;
-    let maxLimitHit = false;
-    let maxQueueHit = false;
+    // Progress persisted on `persistState` so a migrated or restarted run carries on where it stopped.
+    const crawlState = (await Actor.getValue(CRAWL_STATE_KEY)) || {};
+    if (crawlState.runStartedAt) {
+        log.info(`Resuming run started at ${crawlState.runStartedAt} with ${crawlState.itemsSaved} items saved`);
+    }
+
+    let itemsEnqueued = crawlState.itemsEnqueued || 0;
+    let itemsSaved = crawlState.itemsSaved || 0;
+    let maxLimitHit = crawlState.maxLimitHit || false;
+    let maxQueueHit = crawlState.maxQueueHit || false;
+    let maxPagesHit = crawlState.maxPagesHit || false;
     let anyItems = false;
     let crawlerInstance;
-    const seenKeys = new Set();
-    const detailQueued = new Set();
-    const savedProductIds = new Set();
+    const seenKeys = new Set(crawlState.seenKeys);
+    const detailQueued = new Set(crawlState.detailQueued);
+    const savedProductIds = new Set(crawlState.savedProductIds);
+    // Watched product IDs already reported as missing.
+    const watchlistFlagged = new Set(crawlState.watchlistFlagged);
+    const proxyManager = createProxyManager(proxyTiers, { logger: log, state: crawlState.proxyStats });
+    const throttle = createThrottle(rateLimit, { logger: log, state: crawlState.throttleStats });
+    let blockedRequeued = crawlState.blockedRequeued || 0;
+    let blockedDropped = crawlState.blockedDropped || 0;
+    // Pages given up on after their last retry; their products would otherwise be reported as removed.
+    let requestsFailed = crawlState.requestsFailed || 0;
+    let throttledRequeued = crawlState.throttledRequeued || 0;
+
+    const runStartedAt = crawlState.runStartedAt || new Date().toISOString();
+    const historyStore =
+        trackPriceHistory || trackListingChanges ? await Actor.openKeyValueStore(priceHistoryStoreName) : null;
+    // Products whose price history record this run updated.
+    let priceHistoryUpdated = crawlState.priceHistoryUpdated || 0;
+    const detailCacheStore = incrementalDetails ? await Actor.openKeyValueStore(detailCacheStoreName) : null;
+    // Canonical product URL -> { fingerprint, fetchedAt } of its last fetched detail page, whose data is a record of
+    // its own. Only the index is rewritten on `persistState`, and only when it changed.
+    const detailCache = incrementalDetails ? (await detailCacheStore.getValue(DETAIL_CACHE_KEY)) || {} : {};
+    let detailCacheChanged = false;
+    let detailCacheHits = crawlState.detailCacheHits || 0;
+    const apiCacheStore = apiFirst ? await Actor.openKeyValueStore(DEFAULT_API_CACHE_STORE) : null;
+    // Shopper API credentials, and the search parameters of each start URL found on its listing page.
+    const apiCache = (apiFirst && (await apiCacheStore.getValue(API_CACHE_KEY))) || { config: null, listings: {} };
+    // Start URL -> Map of canonical product URL -> { productId, title } seen in this run.
+    const seenBySource = new Map(
+        Object.entries(crawlState.seenBySource || {}).map(([source, seen]) => [source, new Map(Object.entries(seen))]),
+    );
+    let unchangedSkipped = crawlState.unchangedSkipped || 0;
+    const health = createHealthReport(crawlState.health);
+    // With `locale: both`, saved products wait here until their other language versions are scraped.
+    const pendingItems = crawlState.pendingItems || [];
+    // Product key -> { [locale]: item scraped from that language site }.
+    const translations = new Map(Object.entries(crawlState.translations || {}));
+    const reviewsDataset = scrapeReviews ? await Actor.openDataset(reviewsDatasetName) : null;
+    let reviewsSaved = crawlState.reviewsSaved || 0;
+    const savedReviewKeys = new Set(crawlState.savedReviewKeys);
+    let alertsSent = crawlState.alertsSent || 0;
+    // Alerts matched but not sent yet.
+    const pendingAlerts = crawlState.pendingAlerts || [];
+    // Review pages after the first, fetched once the product crawl is done.
+    const reviewRequests = crawlState.reviewRequests || [];
+    // Pages queued for the browser fallback, by reason, and how many of them it rendered.
+    const browserRouted = { challenge: 0, clientRendered: 0, ...crawlState.browserRouted };
+    let browserRendered = crawlState.browserRendered || 0;
+
+    // The latest write is kept so the end of the run can wait for it before clearing the state.
+    let persistPromise = null;
+    const persistCrawlState = () => {
+        persistPromise = (async () => {
+            await Actor.setValue(CRAWL_STATE_KEY, {
+                runStartedAt,
+                itemsSaved,
+                itemsEnqueued,
+                maxLimitHit,
+                maxQueueHit,
+                maxPagesHit,
+                unchangedSkipped,
+                detailCacheHits,
+                priceHistoryUpdated,
+                seenKeys: [...seenKeys],
+                detailQueued: [...detailQueued],
+                savedProductIds: [...savedProductIds],
+                watchlistFlagged: [...watchlistFlagged],
+                proxyStats: proxyManager.toJSON(),
+                throttleStats: throttle.toJSON(),
+                health: health.toJSON(),
+                blockedRequeued,
+                blockedDropped,
+                requestsFailed,
+                throttledRequeued,
+                seenBySource: Object.fromEntries(
+                    [...seenBySource].map(([source, seen]) => [source, Object.fromEntries(seen)]),
+                ),
+                pendingItems,
+                translations: Object.fromEntries(translations),
+                reviewsSaved,
+                savedReviewKeys: [...savedReviewKeys],
+                alertsSent,
+                pendingAlerts,
+                reviewRequests,
+                browserRouted,
+                browserRendered,
+            });
+            if (detailCacheChanged) {
+                detailCacheChanged = false;
+                await detailCacheStore.setValue(DETAIL_CACHE_KEY, detailCache);
+            }
+            if (apiFirst) await apiCacheStore.setValue(API_CACHE_KEY, apiCache);
+        })();
+        return persistPromise;
+    };
+    Actor.on('persistState', persistCrawlState);
+
+    // Commerce API parameters from the first page exposing them, reused by pages that don't (e.g. grid HTML).
+    let commerceApiConfig = null;
+    // One client per run, so all Shopper API calls share its guest token.
+    let shopperClient = null;
+    const getShopperClient = ({ shortCode, organizationId, siteId, clientId }) => {
+        if (!shopperClient) {
+            shopperClient = createShopperClient(
+                { shortCode, organizationId, siteId, clientId },
+                { proxyManager, throttle, logger: log },
+            );
+        }
+        return shopperClient;
+    };
+    let storesPromise = null;
 
     const passesFilters = (item) => {
         if (!item) return false;
-        if (brand && item.brand && !String(item.brand).toLowerCase().includes(brand.toLowerCase())) return false;
+        // Refinements are applied server-side; this is a safety net for the HTML fallbacks.
+        const matchesAny = (values, wanted) =>
+            values.some((entry) => wanted.some((value) => String(entry).toLowerCase().includes(value.toLowerCase())));
+        if (refinements.brand.length && item.brand && !matchesAny([item.brand], refinements.brand)) return false;
         if (minPrice !== null && item.price !== null && item.price < minPrice) return false;
         if (maxPrice !== null && item.price !== null && item.price > maxPrice) return false;
-        if (color && Array.isArray(item.colors)) {
-            const match = item.colors.some((entry) => String(entry).toLowerCase().includes(color.toLowerCase()));
-            if (!match && item.colors.length) return false;
+        if (refinements.color.length && Array.isArray(item.colors) && item.colors.length) {
+            if (!matchesAnyColor(item.colors, refinements.color)) return false;
+        }
+        if (sizeFilters.length && Array.isArray(item.sizes) && item.sizes.length) {
+            if (!matchesAnySize(item.sizes, sizeFilters)) return false;
         }
-        if (size && Array.isArray(item.sizes)) {
-            const match = item.sizes.some((entry) => String(entry).toLowerCase().includes(size.toLowerCase()));
-            if (!match && item.sizes.length) return false;
+        if (refinements.gender.length && Array.isArray(item.gender) && item.gender.length) {
+            const wanted = refinements.gender.map((value) => value.toLowerCase());
+            if (!item.gender.some((entry) => wanted.includes(String(entry).toLowerCase()))) return false;
         }
         return true;
     };
@@ -808,12 +471,20 @@ try {
             brand: item.brand || null,
             price: item.price !== undefined ? item.price : null,
             originalPrice: item.originalPrice !== undefined ? item.originalPrice : null,
+            discountPercent: getDiscountPercent(item.price, item.originalPrice),
+            priceRange: item.priceRange || getPriceRange(item.price),
+            pricebookPrices: Array.isArray(item.pricebookPrices) ? item.pricebookPrices : [],
+            promotions: Array.isArray(item.promotions) ? item.promotions : [],
+            isClearance: isClearanceItem(item),
             currency: item.currency || 'CAD',
             url: item.url ? normalizeProductUrl(item.url) : null,
             image: item.image || null,
             images: Array.isArray(item.images) ? item.images : [],
             colors: Array.isArray(item.colors) ? item.colors : [],
+            colorFamilies: uniqStrings((item.colors || []).map(getColorFamily)),
+            colorOptions: Array.isArray(item.colorOptions) ? item.colorOptions : [],
             sizes: Array.isArray(item.sizes) ? item.sizes : [],
+            normalizedSizes: parseSizes(item.sizes),
             inStock: item.inStock ?? true,
             productId: item.productId || null,
             description: item.description || null,
@@ -826,6 +497,16 @@ try {
         };
     };
 
+    // The source object an item was mapped from, for fields the mappers don't cover.
+    const withRaw = (item, raw, rawSource) => (item && keepRaw && raw ? { ...item, raw, rawSource } : item);
+    const mapHits = (hits, locale) =>
+        hits.map((hit) => withRaw(mapSearchHit(hit, locale), hit, 'searchHit')).filter(Boolean);
+
+    const formatRecord = (record) =>
+        outputFields.length || Object.keys(fieldMapping).length
+            ? selectFields(record, { fields: outputFields, mapping: fieldMapping })
+            : record;
+
     const shapeItem = (item) => {
         const normalized = normalizeItem(item);
         if (!normalized) return null;
@@ -836,35 +517,208 @@ try {
             brand: normalized.brand,
             price: normalized.price,
             originalPrice: normalized.originalPrice,
+            discountPercent: normalized.discountPercent,
+            priceRange: normalized.priceRange,
+            pricebookPrices: normalized.pricebookPrices,
+            promotions: normalized.promotions,
+            isClearance: normalized.isClearance,
             currency: normalized.currency,
             url: normalized.url,
             image: normalized.image,
             images: normalized.images,
             colors: normalized.colors,
+            colorFamilies: normalized.colorFamilies,
+            colorOptions: normalized.colorOptions,
             sizes: normalized.sizes,
+            normalizedSizes: normalized.normalizedSizes,
             inStock: normalized.inStock,
             productId: normalized.productId,
         };
     };
 
-    const saveItems = async (items, logger) => {
+    // Keyed by canonical URL, the same key saveItems deduplicates on. Written right away, as saved items are not
+    // revisited after a restart.
+    const recordPriceHistory = async (item) => {
+        const key = getPriceHistoryKey(item.url);
+        const stored = await historyStore.getValue(key);
+        const entry = getPreviousEntry(stored, runStartedAt);
+        const changed = hasPriceOrStockChanged(entry, item);
+        const fields = computePriceHistory(entry, item, runStartedAt);
+        const snapshot = {
+            price: item.price,
+            originalPrice: item.originalPrice,
+            inStock: item.inStock,
+        };
+        await historyStore.setValue(key, {
+            productId: item.productId || entry?.productId || null,
+            ...snapshot,
+            firstSeenAt: fields.firstSeenAt,
+            lastSeenAt: runStartedAt,
+            history: [...(entry?.history || []), { at: runStartedAt, ...snapshot }].slice(-MAX_PRICE_HISTORY_ENTRIES),
+        });
+        if (stored?.lastSeenAt !== runStartedAt) priceHistoryUpdated += 1;
+        return { item: { ...item, ...fields }, changed, previous: entry };
+    };
+
+    // One POST of the pending alerts to every webhook URL.
+    const deliverAlerts = async (alerts, logger) => {
+        const payload = { runAt: runStartedAt, alerts };
+        for (const url of webhookUrls) {
+            await sendWebhook({ url, payload, secret: webhookSecret, logger });
+        }
+        alertsSent += alerts.length;
+        logger?.info?.(`Sent ${alerts.length} alerts: ${[...new Set(alerts.map((alert) => alert.rule))].join(', ')}`);
+    };
+
+    // Alerts are posted in the background, so a slow webhook doesn't hold up the page that matched them. The ones
+    // matched while a POST is in flight go out together in the next one. They leave `pendingAlerts` once sent, so a
+    // migrated run sends what it hadn't yet.
+    let alertDelivery = null;
+    const flushAlerts = () => {
+        if (!alertDelivery) {
+            alertDelivery = (async () => {
+                while (pendingAlerts.length) {
+                    const alerts = pendingAlerts.slice();
+                    await deliverAlerts(alerts, log);
+                    pendingAlerts.splice(0, alerts.length);
+                }
+                alertDelivery = null;
+            })();
+        }
+        return alertDelivery;
+    };
+
+    const buildVariantRecords = (item, variants) => {
+        const base = {
+            productId: item.productId,
+            title: item.title,
+            brand: item.brand,
+            url: item.url,
+            currency: item.currency,
+            promotions: item.promotions,
+            isClearance: item.isClearance,
+        };
+        for (const field of [
+            ...PRICE_HISTORY_FIELDS,
+            ...CONTEXT_FIELDS,
+            ...WATCHLIST_FIELDS,
+            'localized',
+            'raw',
+            'rawSource',
+        ]) {
+            if (field in item) base[field] = item[field];
+        }
+        if (!Array.isArray(variants) || !variants.length) {
+            // Products without variation data (e.g. JSON-LD fallback) still get one record.
+            return [
+                {
+                    ...base,
+                    variantId: null,
+                    colorCode: null,
+                    colorName: item.colorName || item.colors[0] || null,
+                    colorFamily: getColorFamily(item.colorName || item.colors[0]),
+                    size: item.sizes.length === 1 ? item.sizes[0] : null,
+                    normalizedSize: item.sizes.length === 1 ? parseSize(item.sizes[0]) : null,
+                    width: null,
+                    orderable: item.inStock,
+                    quantity: null,
+                    price: item.price,
+                    discountPercent: item.discountPercent,
+                    image: item.image,
+                    storeAvailability: item.storeAvailability,
+                },
+            ];
+        }
+        return variants.map((variant) => ({
+            ...base,
+            ...variant,
+            normalizedSize: parseSize(variant.size),
+            price: variant.price ?? item.price,
+            discountPercent: getDiscountPercent(variant.price ?? item.price, item.originalPrice),
+            image: variant.image || item.image,
+        }));
+    };
+
+    const markSeen = (item, { source }) => {
+        if (!trackListingChanges || !source) return;
+        if (!seenBySource.has(source)) seenBySource.set(source, new Map());
+        seenBySource.get(source).set(item.url, { productId: item.productId || null, title: item.title || null });
+    };
+
+    // A retried page would save its reviews again, so they are deduplicated by review ID.
+    const saveReviews = async (reviews) => {
+        const fresh = new Map();
+        for (const review of reviews) {
+            const key = getReviewKey(review);
+            if (!savedReviewKeys.has(key)) fresh.set(key, review);
+        }
+        if (!fresh.size) return;
+        await reviewsDataset.pushData([...fresh.values()].map((review) => ({ ...review, scrapedAt: runStartedAt })));
+        for (const key of fresh.keys()) savedReviewKeys.add(key);
+        reviewsSaved += fresh.size;
+    };
+
+    // `context` carries the start URL (`source`), search query and category path a request descends from.
+    const saveItems = async (items, logger, context = {}) => {
         if (!Array.isArray(items) || !items.length) return;
         if (itemsSaved >= MAX_ITEMS) return;
 
         const filtered = [];
+        const records = [];
+        const alerts = [];
+        const reviews = [];
         for (const raw of items) {
             const item = shapeItem(raw);
             if (!item) continue;
+            for (const field of CONTEXT_FIELDS) {
+                if (context[field]) item[field] = context[field];
+            }
+            if (raw.storeAvailability) item.storeAvailability = raw.storeAvailability;
+            for (const field of WATCHLIST_FIELDS) {
+                if (field in raw) item[field] = raw[field];
+            }
+            if (raw.sizeAvailability) item.sizeAvailability = raw.sizeAvailability;
+            if (raw.raw) {
+                item.raw = raw.raw;
+                item.rawSource = raw.rawSource;
+            }
+            if (scrapeReviews) {
+                item.rating = raw.rating ?? null;
+                item.reviewCount = raw.reviewCount ?? null;
+            }
 
             // Listing mode requires a canonical URL and a visible title.
             if (!item.url || !item.title) continue;
 
-            // Deduplicate primarily by URL (product IDs can differ across tracking/variants).
-            if (seenKeys.has(item.url)) continue;
-
             if (!passesFilters(item)) continue;
+            // Recorded before deduplication, so a product listed under several start URLs is seen in each of them.
+            markSeen(item, context);
 
-            filtered.push(item);
+            // Deduplicate primarily by URL (product IDs can differ across tracking/variants).
+            if (seenKeys.has(item.url)) continue;
+            health.recordItem(normalizeItem(raw));
+
+            const {
+                item: tracked,
+                changed,
+                previous,
+            } = trackPriceHistory ? await recordPriceHistory(item) : { item, changed: true };
+            filtered.push(tracked);
+            // Duplicates and products the filters dropped get no reviews.
+            if (raw.pendingReviews) reviews.push(raw.pendingReviews);
+            if (alertsEnabled)
+                alerts.push(...matchAlertRules(tracked, alertRules, { previous, variants: raw.variants }));
+            if (!onlyChangedItems || changed) {
+                if (translationLocales.length) {
+                    pendingItems.push({ item: tracked, variants: raw.variants });
+                } else {
+                    records.push(
+                        ...(outputMode === 'variants' ? buildVariantRecords(tracked, raw.variants) : [tracked]),
+                    );
+                }
+            } else {
+                unchangedSkipped += 1;
+            }
             seenKeys.add(item.url);
             if (item.productId) savedProductIds.add(item.productId);
 
@@ -872,353 +726,838 @@ try {
         }
 
         if (filtered.length) {
-            await Actor.pushData(filtered);
+            if (records.length) await Actor.pushData(records.map(formatRecord));
             itemsSaved += filtered.length;
             anyItems = true;
-            logger?.info?.(`Saved ${filtered.length} items (total ${itemsSaved}/${MAX_ITEMS})`);
+            for (const { reviews: page, requests } of reviews) {
+                await saveReviews(page);
+                reviewRequests.push(...requests);
+            }
+            if (alerts.length) {
+                pendingAlerts.push(...alerts);
+                flushAlerts();
+            }
+            if (outputMode === 'variants') {
+                logger?.info?.(
+                    `Saved ${records.length} variants of ${filtered.length} items (total ${itemsSaved}/${MAX_ITEMS})`,
+                );
+            } else {
+                logger?.info?.(`Saved ${filtered.length} items (total ${itemsSaved}/${MAX_ITEMS})`);
+            }
             await stopCrawler(logger);
         }
     };
 
-    const enqueueOrSaveDetails = async (products, logger) => {
+    const getCommerceApiConfig = (bootstrap, locale) => {
+        const siteId = bootstrap.siteId || bootstrap.productSearch?.params?.siteId;
+        if (!bootstrap.shortCode || !bootstrap.clientId || !bootstrap.organizationId || !siteId) return null;
+        return { ...bootstrap, siteId, locale: API_LOCALES[locale] || bootstrap.productSearch?.params?.locale };
+    };
+
+    const getCachedApiConfig = (locale) =>
+        apiFirst && apiCache.config ? { ...apiCache.config, locale: API_LOCALES[locale] } : null;
+
+    // Only the public credentials are kept; the listing search parameters are kept per start URL.
+    const rememberApiConfig = (config, source = null, productSearch = null) => {
+        if (!apiFirst) return;
+        const { shortCode, organizationId, siteId, clientId } = config;
+        apiCache.config = { shortCode, organizationId, siteId, clientId };
+        if (source && productSearch?.params) {
+            const { q, refine, expand, allImages, perPricebook, allVariationProperties } = productSearch.params;
+            apiCache.listings[source] = {
+                params: {
+                    q,
+                    refine,
+                    sort: productSearch.params.sort,
+                    expand,
+                    allImages,
+                    perPricebook,
+                    allVariationProperties,
+                },
+                limit: Number.isFinite(productSearch.limit) ? productSearch.limit : DEFAULT_PAGE_SIZE,
+            };
+        }
+        apiCache.updatedAt = runStartedAt;
+    };
+
+    // Stores are looked up once per run; their inventory IDs key the per-store stock of each product.
+    const resolveStores = (config, session, logger) => {
+        if (!storesPromise) {
+            storesPromise = (async () => {
+                const data = await getShopperClient(config).getStores(
+                    { storeIds, postalCode, radius: storeRadius },
+                    { locale: config.locale, session },
+                );
+                const stores = mapStores(data);
+                if (stores.length) logger?.info?.(`Store availability: checking ${stores.length} stores`);
+                else logger?.warning?.('Store availability: no stores found for the given store IDs or postal code');
+                return stores;
+            })();
+        }
+        return storesPromise;
+    };
+
+    const addStoreAvailability = async (items, { session, logger, config = null }) => {
+        if (!includeStoreAvailability || (!storeIds.length && !postalCode) || !items.length) return items;
+        const apiConfig = config || commerceApiConfig;
+        if (!apiConfig) {
+            logger?.debug?.('Store availability: no Commerce API parameters for this page');
+            return items;
+        }
+        const stores = await resolveStores(apiConfig, session, logger);
+        if (!stores.length) return items;
+
+        const inventoryIds = uniqStrings(stores.map((store) => store.inventoryId));
+        const ids = uniqStrings(
+            items.flatMap((item) => [item.productId, ...(item.variants || []).map((variant) => variant.variantId)]),
+        );
+        const inventoriesById = new Map();
+        const { products } = await getShopperClient(apiConfig).getAvailability(ids, inventoryIds, {
+            locale: apiConfig.locale,
+            session,
+        });
+        for (const product of products) {
+            if (product.id) inventoriesById.set(product.id, product.inventories || []);
+        }
+        return items.map((item) => attachStoreAvailability(item, inventoriesById, stores));
+    };
+
+    // Reviews come from the Bazaarvoice widget's API when the page loads it, otherwise from the JSON-LD markup.
+    // Returns the average rating and review count, the first page of reviews and the requests for the other pages,
+    // which are only saved and queued once the product is.
+    const fetchReviews = async (item, { html, $, session, logger }) => {
+        const result = { rating: null, reviewCount: null, reviews: [], requests: [] };
+        if (!item.productId) return result;
+        const nodes = extractJsonLdProductNodes($);
+        const node = nodes.find((entry) => String(entry.sku) === item.productId) || nodes[0] || null;
+        let rating = toNumber(node?.aggregateRating?.ratingValue);
+        let reviewCount = toNumber(node?.aggregateRating?.reviewCount ?? node?.aggregateRating?.ratingCount);
+
+        const config = extractReviewConfig(html);
+        const url = config ? buildReviewsUrl({ ...config, productId: item.productId }) : null;
+        const data = url ? await fetchJson({ url, session, proxyManager, throttle, logger }) : null;
+        if (data) {
+            const page = mapReviewsResponse(data, item.productId);
+            rating = page.rating ?? rating;
+            reviewCount = page.reviewCount ?? reviewCount;
+            result.reviews = page.reviews;
+            for (let offset = page.limit; offset < page.total; offset += page.limit) {
+                result.requests.push({
+                    url: buildReviewsUrl({ ...config, productId: item.productId, offset, limit: page.limit }),
+                    headers: { Accept: 'application/json' },
+                    userData: { label: 'REVIEWS', followUp: true, productId: item.productId, offset },
+                });
+            }
+        } else {
+            if (config) logger?.debug?.(`Reviews API failed for ${item.productId}, using JSON-LD reviews`);
+            result.reviews = mapJsonLdReviews(node, item.productId);
+        }
+        return { ...result, rating, reviewCount };
+    };
+
+    // Watched products that no longer resolve to a product page are output as status records.
+    const saveWatchlistStatus = async (
+        { productId, url, watchStatus, statusCode = null, redirectUrl = null },
+        logger,
+    ) => {
+        await Actor.pushData(
+            formatRecord({
+                productId,
+                title: null,
+                url,
+                watchStatus,
+                statusCode,
+                redirectUrl,
+                checkedAt: runStartedAt,
+            }),
+        );
+        const status = watchStatus === 'notFound' ? 'not found' : `redirects to ${redirectUrl}`;
+        logger?.warning?.(`Watchlist: ${productId || url} ${status}`);
+    };
+
+    const toWatchlistItem = (item, { watchStatus = 'ok', redirectUrl = null } = {}) => ({
+        ...item,
+        watchStatus,
+        redirectUrl,
+        sizeAvailability: mapSizeAvailability(item.variants),
+    });
+
+    // Watched product IDs are read from the Shopper Products API in batches, using the home page's API parameters.
+    const fetchWatchlistProducts = async () => {
+        const ids = productIds.filter((id) => !savedProductIds.has(id) && !watchlistFlagged.has(id));
+        if (!ids.length) return;
+        const homeUrl = `${BASE_URL}/${primaryLocale}/`;
+        let config = getCachedApiConfig(primaryLocale);
+        if (!config) {
+            const html = await fetchHtml({ url: homeUrl, proxyManager, throttle, logger: log });
+            config = html ? getCommerceApiConfig(extractBootstrapConfig(html), primaryLocale) : null;
+            if (config) rememberApiConfig(config);
+        }
+        if (!config) {
+            log.warning(`Watchlist: no Commerce API parameters on ${homeUrl}, skipping ${ids.length} product IDs`);
+            return;
+        }
+        if (!commerceApiConfig) commerceApiConfig = config;
+
+        const context = { source: 'watchlist', locale: primaryLocale, searchQuery: null, categoryPath: null };
+        for (let i = 0; i < ids.length; i += PRODUCT_API_BATCH_SIZE) {
+            const batch = ids.slice(i, i + PRODUCT_API_BATCH_SIZE);
+            const { products, failedIds } = await getShopperClient(config).getProducts(batch, {
+                locale: config.locale,
+                expand: WATCHLIST_PRODUCT_EXPAND,
+            });
+            if (failedIds.length) {
+                log.warning(`Watchlist: products request failed for ${batch.join(', ')}`);
+                continue;
+            }
+            const items = products
+                .map((product) => withRaw(mapDetailProduct(product, primaryLocale), product, 'productDetail'))
+                .filter((item) => item?.productId)
+                .map((item) =>
+                    toWatchlistItem({
+                        ...item,
+                        url: item.url ? normalizeProductUrl(item.url) : buildProductUrl(item.productId, primaryLocale),
+                    }),
+                );
+            await saveItems(await addStoreAvailability(items, { logger: log, config }), log, context);
+            const found = new Set(items.map((item) => item.productId));
+            for (const productId of batch.filter((id) => !found.has(id))) {
+                watchlistFlagged.add(productId);
+                await saveWatchlistStatus({ productId, url: null, watchStatus: 'notFound' }, log);
+            }
+        }
+    };
+
+    const enqueueOrSaveDetails = async (products, logger, context, session) => {
         if (!products || !products.length) return;
 
         if (!scrapeDetails) {
-            await saveItems(products, logger);
+            await saveItems(await addStoreAvailability(products, { session, logger }), logger, context);
             return;
         }
 
+        const cachedItems = [];
         for (const product of products) {
             if (itemsEnqueued >= MAX_ITEMS) break;
             const base = normalizeItem(product);
             const url = base?.url || (product?.url ? normalizeProductUrl(product.url) : null);
-            if (!url || detailQueued.has(url)) continue;
+            if (!url) continue;
+            // The detail page is only fetched for the first source listing the product; the others are recorded here.
+            markSeen({ ...base, url }, context);
+            if (detailQueued.has(url)) continue;
+
+            const fingerprint = incrementalDetails ? getListingFingerprint(product) : null;
+            const cached =
+                fingerprint && hasCachedDetail(detailCache, url, fingerprint, runStartedAt, detailCacheTtlMs)
+                    ? await detailCacheStore.getValue(getDetailCacheKey(url))
+                    : null;
+            if (cached) {
+                cachedItems.push(cached);
+                logger?.debug?.(`Reusing cached detail: ${url}`);
+            } else {
+                await requestQueue.addRequest({
+                    url,
+                    userData: { label: 'DETAIL', base: { ...base, url }, fingerprint, ...context },
+                });
+                logger?.debug?.(`Queued detail: ${url}`);
+            }
+            detailQueued.add(url);
+            itemsEnqueued++;
+        }
 
-            // Only queue if we really need to (optimization could go here, but user wants robustness)
-            // If we already have description, we might skip, but let's follow user wish for "deep review"
+        if (cachedItems.length) {
+            detailCacheHits += cachedItems.length;
+            await saveItems(await addStoreAvailability(cachedItems, { session, logger }), logger, context);
+        }
+    };
 
-            await requestQueue.addRequest({
-                url,
-                userData: { label: 'DETAIL', base: { ...base, url } },
+    // Listing search parameters with the input's locale, query, refinements and sort applied.
+    const getApiSearchParams = (params, { searchQuery, locale }) => ({
+        locale: API_LOCALES[locale] || params?.locale,
+        q: searchQuery || params?.q,
+        refine: mergeRefinements(params?.refine, apiRefinements),
+        sort: sort || params?.sort,
+        // An explicit `expand` replaces the API's default one, which includes prices and promotions.
+        expand: params?.expand?.length ? uniqStrings([...params.expand, ...PROMOTION_EXPAND]) : params?.expand,
+        allImages: params?.allImages,
+        // Prices of every pricebook, so sale items can be told apart from products whose variants differ in price.
+        perPricebook: params?.perPricebook ?? true,
+        allVariationProperties: params?.allVariationProperties,
+    });
+
+    const tryProductSearchApi = async ({ bootstrap, offset, limit, searchQuery, locale, session, logger }) => {
+        const result = await getShopperClient(bootstrap).search(
+            getApiSearchParams(bootstrap.productSearch?.params, { searchQuery, locale }),
+            { offset, limit, session },
+        );
+        if (result) logger?.info?.(`Successfully fetched ${result.data.hits.length} products from API`);
+        else logger?.debug?.('Shopper API search returned no data');
+        return result;
+    };
+
+    // Queues the API or grid pages after `page.offset` as separate requests, enough for the items still missing.
+    // The last page of a batch queues the next one, so deep listings are paged without fetching past `maxItems`.
+    const enqueueNextPages = async (url, page, context) => {
+        const { label, limit, total } = page;
+        const param = label === 'API' ? 'offset' : 'start';
+        // Without a total, each grid page queues only the next one so the end of the listing isn't overshot.
+        const batchSize = total === null ? 1 : Math.max(Math.ceil((MAX_ITEMS - getProgressCount()) / limit), 1);
+        const requests = [];
+        let { offset, pageNum } = page;
+        while (requests.length < batchSize) {
+            offset += limit;
+            pageNum += 1;
+            if (total !== null && offset >= total) break;
+            if (pageNum > MAX_PAGES) {
+                maxPagesHit = true;
+                break;
+            }
+            const pageUrl = withSearchParam(url, param, offset);
+            requests.push({
+                url: pageUrl,
+                // Start URLs sharing a listing each page through it, so each records all of its products.
+                uniqueKey: trackListingChanges && context.source ? `${pageUrl}#${context.source}` : undefined,
+                headers: label === 'API' ? { Accept: 'application/json' } : undefined,
+                userData: { ...context, label, offset, limit, total, pageNum, lastInBatch: false },
             });
-            detailQueued.add(url);
-            itemsEnqueued++;
-            logger?.debug?.(`Queued detail: ${url}`);
         }
+        if (!requests.length) return;
+        requests[requests.length - 1].userData.lastInBatch = true;
+        await requestQueue.addRequests(requests);
     };
 
-    const tryProductSearchApi = async ({ bootstrap, offset, limit, session, logger }) => {
-        const apiParams = {
-            siteId: bootstrap.siteId,
-            clientId: bootstrap.clientId,
-            locale: bootstrap.productSearch?.params?.locale,
-            refine: bootstrap.productSearch?.params?.refine,
-            expand: bootstrap.productSearch?.params?.expand,
-            allImages: bootstrap.productSearch?.params?.allImages,
-            perPricebook: bootstrap.productSearch?.params?.perPricebook,
-            allVariationProperties: bootstrap.productSearch?.params?.allVariationProperties,
-        };
+    const countCategoryProducts = async (bootstrap, cgid) => {
+        const result = await getShopperClient(bootstrap).search(
+            { locale: bootstrap.locale, refine: [`cgid=${cgid}`] },
+            { offset: 0, limit: 1 },
+        );
+        return Number.isFinite(result?.data?.total) ? result.data.total : null;
+    };
+
+    // Category tree from the preloaded state, the Shopper Products API or, failing both, the site navigation.
+    // Product counts are only looked up for the tree output; crawling the leaves needs none.
+    const discoverCategoryTree = async ({ countProducts }) => {
+        const homeUrl = `${BASE_URL}/${primaryLocale}/`;
+        const html = await fetchHtml({ url: homeUrl, proxyManager, throttle, logger: log });
+        if (!html) {
+            log.warning(`Category discovery: failed to load ${homeUrl}`);
+            return [];
+        }
 
-        const endpoints = buildApiEndpoints(bootstrap);
-        if (!endpoints.length) {
-            logger?.debug?.('No API endpoints available');
-            return null;
+        const bootstrap = extractBootstrapConfig(html);
+        const locale = bootstrap.productSearch?.params?.locale || getLocaleFromUrl(homeUrl) || 'en';
+        const siteId = bootstrap.siteId || bootstrap.productSearch?.params?.siteId;
+        const preloadedState = extractPreloadedState(html);
+
+        let root = preloadedState ? extractCategoriesFromState(preloadedState) : null;
+        let strategy = 'preloaded state';
+        if (!root) {
+            const canCallApi = bootstrap.shortCode && bootstrap.clientId && bootstrap.organizationId && siteId;
+            const data = canCallApi ? await getShopperClient({ ...bootstrap, siteId }).getCategories({ locale }) : null;
+            root = Array.isArray(data?.categories) ? data : null;
+            strategy = 'API';
+        }
+        if (!root) {
+            root = extractCategoriesFromNavigation(load(html));
+            strategy = 'navigation';
         }
-        if (!apiParams.clientId || !apiParams.siteId) {
-            logger?.debug?.(`Missing API credentials: clientId=${apiParams.clientId}, siteId=${apiParams.siteId}`);
-            return null;
+        if (!root) {
+            log.warning('Category discovery: no category tree found');
+            return [];
         }
 
-        // Refine params are optional - they might not be present in preloaded data
-        // If missing, we'll try anyway as the API might still work
-        if (!Array.isArray(apiParams.refine) || apiParams.refine.length === 0) {
-            logger?.debug?.('No refine parameters found, attempting API call anyway');
+        const rows = flattenCategoryTree(root, { locale, siteId });
+        log.info(`Category discovery: ${rows.length} categories from ${strategy}`);
+
+        if (countProducts && bootstrap.shortCode && bootstrap.clientId && bootstrap.organizationId && siteId) {
+            const uncounted = rows.filter((row) => row.productCount === null);
+            const counts = await mapWithConcurrency(uncounted, CATEGORY_COUNT_CONCURRENCY, (row) =>
+                countCategoryProducts({ ...bootstrap, siteId, locale }, row.id),
+            );
+            for (const [index, row] of uncounted.entries()) row.productCount = counts[index];
         }
+        return rows;
+    };
 
-        for (const base of endpoints) {
-            const params = buildSearchParams({
-                params: apiParams,
-                offset,
+    const getListRequest = (context) => ({
+        url: context.source,
+        userData: { ...context, label: 'LIST', pageNum: 1 },
+    });
+
+    // The first search page of a start URL, built from the credentials and parameters cached by earlier runs.
+    // Search queries need no cached listing parameters; other start URLs are scraped until their page was seen once.
+    const getApiFirstRequest = (context) => {
+        const config = getCachedApiConfig(context.locale);
+        const listing = apiCache.listings[context.source];
+        if (!config || (!listing && !context.searchQuery)) return null;
+        const base = buildApiEndpoints(config)[0];
+        const limit = listing?.limit || DEFAULT_PAGE_SIZE;
+        const params = buildSearchParams({
+            params: {
+                siteId: config.siteId,
+                clientId: config.clientId,
+                ...getApiSearchParams(listing?.params, context),
+            },
+            offset: 0,
+            limit,
+        });
+        // Created here so the crawler's API requests carry its guest token.
+        getShopperClient(config);
+        return {
+            url: `${base}?${params.toString()}`,
+            // Start URLs can share an endpoint URL, e.g. the same category in two locales with one API locale.
+            uniqueKey: `api-first:${context.source}`,
+            headers: { Accept: 'application/json' },
+            userData: {
+                ...context,
+                label: 'API',
+                apiFirst: true,
+                offset: 0,
                 limit,
-                brand: brand || null,
-            });
-            const url = `${base}?${params.toString()}`;
-            logger?.debug?.(`Attempting JSON API: ${url}`);
-            const data = await fetchJson({ url, session, proxyConfiguration, logger });
-            if (data && Array.isArray(data.hits)) {
-                logger?.info?.(`Successfully fetched ${data.hits.length} products from API`);
-                return data;
-            }
-            logger?.debug?.(`API endpoint ${base} returned no data`);
+                total: null,
+                pageNum: 1,
+                lastInBatch: true,
+            },
+        };
+    };
+
+    // The browser fallback has a queue of its own, so the pages it queues in turn still go to the HTTP crawler.
+    // It is named after the run, so a migrated run finds it again, and dropped at the end.
+    let browserQueue = null;
+    const getBrowserQueue = async () => {
+        if (!browserQueue) {
+            browserQueue = await Actor.openRequestQueue(`browns-browser-${Actor.getEnv().actorRunId || 'local'}`);
         }
+        return browserQueue;
+    };
 
-        return null;
+    // Why the page should be rendered in a browser, or null when the fallback is off or the page was rendered already.
+    const getRenderReason = (request, $) => {
+        const label = request.userData?.label;
+        if (!browserFallback || request.userData?.rendered || !PAGE_TYPES.includes(label)) return null;
+        return getBrowserFallbackReason($?.root().html() || '', label);
     };
 
-    const runCrawler = async () => {
-        crawlerInstance = new CheerioCrawler({
-            requestQueue,
-            proxyConfiguration,
-            useSessionPool: true,
-            sessionPoolOptions: {
-                maxPoolSize: 50,
-                sessionOptions: { maxUsageCount: 50 },
-            },
-            maxConcurrency: 10,
-            minConcurrency: 1,
-            requestHandlerTimeoutSecs: 120,
-            maxRequestRetries: 2,
-            preNavigationHooks: [
-                async ({ request, session }) => {
-                    request.headers = {
-                        ...getSessionHeaders(session),
-                        ...request.headers,
-                    };
-                },
-            ],
-            async requestHandler({ request, response, $, session, log: crawlerLog }) {
-                if (itemsSaved >= MAX_ITEMS) {
-                    await stopCrawler(crawlerLog);
+    // Returns false when there is no reason to render the page.
+    const routeToBrowser = async (request, reason, logger) => {
+        if (!reason) return false;
+        const queue = await getBrowserQueue();
+        const { wasAlreadyPresent } = await queue.addRequest({
+            url: request.url,
+            uniqueKey: `${request.uniqueKey}#browser`,
+            userData: { ...request.userData, rendered: true },
+        });
+        if (!wasAlreadyPresent) browserRouted[reason] += 1;
+        const kind = reason === 'challenge' ? 'Bot challenge' : 'Client-rendered page';
+        logger.info(`${kind}, queued for the browser ${request.url}`);
+        return true;
+    };
+
+    // Blocked requests go back to the queue under a new key, so they don't use up the crawler's own retries.
+    // The throttle holds the host back for `delayMs` before the copy is sent.
+    const requeueBlocked = async (request, statusCode, delayMs, logger) => {
+        const blockedRetries = (request.userData.blockedRetries || 0) + 1;
+        if (blockedRetries > rateLimit.maxBlockedRetries) {
+            blockedDropped += 1;
+            logger.error(`Blocked (${statusCode}) ${blockedRetries} times, giving up on ${request.url}`);
+            return;
+        }
+        blockedRequeued += 1;
+        logger.warning(`Blocked (${statusCode}), retrying in ${Math.ceil(delayMs / 1000)}s ${request.url}`);
+        await requestQueue.addRequest({
+            url: request.url,
+            uniqueKey: `${request.uniqueKey}#blocked-${blockedRetries}`,
+            headers: request.headers?.Accept ? { Accept: request.headers.Accept } : undefined,
+            userData: { ...request.userData, blockedRetries },
+        });
+    };
+
+    // Pre-navigation hooks count against the request handler timeout, so a page doesn't wait out a long pause there:
+    // after `MAX_THROTTLE_WAIT_SECS` it goes back to the queue, without using up one of its retries.
+    const waitForThrottle = async (request) => {
+        if (await throttle.wait(request.url, { maxWaitMs: MAX_THROTTLE_WAIT_SECS * 1000 })) return;
+        throttledRequeued += 1;
+        request.maxRetries = (request.maxRetries ?? MAX_REQUEST_RETRIES) + 1;
+        throw new RetryRequestError(`Rate limited for over ${MAX_THROTTLE_WAIT_SECS}s, queued again`);
+    };
+
+    // Shared by the HTTP crawler and the browser fallback, which hands over the rendered page as `$`.
+    const handlePage = async ({ request, response, $, json, session, log: crawlerLog }) => {
+        // Translation and review pages complete products that are already saved.
+        const isFollowUp = Boolean(request.userData?.followUp);
+        const isTranslation = Boolean(request.userData?.translationOf);
+        if (!isFollowUp && itemsSaved >= MAX_ITEMS) {
+            await stopCrawler(crawlerLog);
+            return;
+        }
+        if (scrapeDetails && itemsEnqueued >= MAX_ITEMS && !isFollowUp && request.userData?.label !== 'DETAIL') {
+            if (!maxQueueHit) {
+                maxQueueHit = true;
+                crawlerLog.info(`Reached detail queue limit (${MAX_ITEMS}), skipping further listing pages.`);
+            }
+            return;
+        }
+        const statusCode = response?.statusCode ?? null;
+        if (statusCode !== null) proxyManager.recordResponse(request, session, statusCode);
+        const delayMs =
+            statusCode === null
+                ? 0
+                : throttle.recordResponse(request.url, statusCode, response.headers?.['retry-after']);
+        if ([...BLOCKED_STATUS_CODES, ...PROXY_AUTH_STATUS_CODES].includes(statusCode)) {
+            // The retry gets a fresh session, and the proxy tier the request may have been moved to.
+            session?.retire();
+            // A bot challenge doesn't go away on a plain retry, so it goes straight to the browser.
+            const renderReason = BLOCKED_STATUS_CODES.includes(statusCode) ? getRenderReason(request, $) : null;
+            if (renderReason === 'challenge' && (await routeToBrowser(request, renderReason, crawlerLog))) return;
+            await requeueBlocked(request, statusCode, delayMs, crawlerLog);
+            return;
+        }
+
+        // Start URL, search query and category path this request descends from.
+        const context = {
+            source: request.userData?.source || request.url,
+            locale: request.userData?.locale || primaryLocale,
+            searchQuery: request.userData?.searchQuery || null,
+            categoryPath: request.userData?.categoryPath || null,
+        };
+
+        if (request.userData?.label === 'DETAIL') {
+            const base = request.userData?.base || {};
+            const isWatched = Boolean(request.userData?.watchlist);
+            const html = $.root().html() || '';
+            const preloadedState = extractPreloadedState(html);
+            const stateProduct = preloadedState ? extractProductDetailFromState(preloadedState) : null;
+            const detailFromState = mapDetailProduct(stateProduct, context.locale);
+            const detailProducts = extractJsonLdProducts($);
+            const detail = detailFromState
+                ? withRaw(detailFromState, stateProduct, 'productDetail')
+                : withRaw(detailProducts[0] || null, extractJsonLdProductNodes($)[0], 'jsonLd');
+            const renderReason = detail ? null : getRenderReason(request, $);
+            if (await routeToBrowser(request, renderReason, crawlerLog)) return;
+            const detailStats = {};
+            if (detailFromState) detailStats.preloadedState = 1;
+            else if (detail) detailStats.jsonLd = 1;
+
+            if (isTranslation) {
+                health.recordPage('DETAIL', detailStats);
+                const key = request.userData.translationOf;
+                if (!detail) {
+                    crawlerLog.warning(`No ${context.locale} version of product ${key} at ${request.url}`);
                     return;
                 }
-                if (scrapeDetails && itemsEnqueued >= MAX_ITEMS && request.userData?.label !== 'DETAIL') {
-                    if (!maxQueueHit) {
-                        maxQueueHit = true;
-                        crawlerLog.info(`Reached detail queue limit (${MAX_ITEMS}), skipping further listing pages.`);
-                    }
+                translations.set(key, { ...translations.get(key), [context.locale]: detail });
+                return;
+            }
+            let watch = null;
+            if (isWatched) {
+                const loadedUrl = request.loadedUrl ? normalizeProductUrl(request.loadedUrl) : null;
+                const redirectUrl = loadedUrl && loadedUrl !== base.url ? loadedUrl : null;
+                // Discontinued products redirect to a listing or the home page instead of returning 404.
+                const leftProductPage = redirectUrl && !new URL(redirectUrl).pathname.includes('/product/');
+                if (!detail || leftProductPage || [404, 410].includes(statusCode)) {
+                    health.recordPage('DETAIL', detailStats);
+                    await saveWatchlistStatus(
+                        {
+                            productId: getProductKey(base),
+                            url: base.url,
+                            watchStatus: redirectUrl ? 'redirected' : 'notFound',
+                            statusCode,
+                            redirectUrl,
+                        },
+                        crawlerLog,
+                    );
                     return;
                 }
-                if (response && [403, 407, 429, 597].includes(response.statusCode)) {
-                    if ([407, 597].includes(response.statusCode)) {
-                        proxyState.authFailed = true;
-                        disableProxy(`Proxy authentication failed (${response.statusCode})`, crawlerLog);
-                    }
-                    session?.markBad();
-                    crawlerLog.warning(`Blocked (${response.statusCode}) ${request.url}`);
-                    return;
+                watch = { watchStatus: redirectUrl ? 'redirected' : 'ok', redirectUrl };
+            }
+            let merged = {
+                ...base,
+                ...detail,
+                url: base.url || normalizeProductUrl(detail?.url || request.url),
+                image: base.image || detail?.image || null,
+                images: detail?.images?.length ? detail.images : base.images || [],
+            };
+
+            if (!detail) {
+                const htmlProducts = extractProductsFromHtml($, detailStats);
+                const match =
+                    htmlProducts.find((p) => p.url === merged.url) ||
+                    htmlProducts.find((p) => p.title === merged.title) ||
+                    htmlProducts[0];
+                if (match) {
+                    merged = {
+                        ...merged,
+                        ...match,
+                        url: merged.url || match.url,
+                        image: merged.image || match.image,
+                    };
                 }
+            }
 
-                if (request.userData?.label === 'DETAIL') {
-                    const base = request.userData?.base || {};
-                    const html = $.root().html() || '';
-                    const preloadedState = extractPreloadedState(html);
-                    const detailFromState = preloadedState
-                        ? mapDetailProduct(extractProductDetailFromState(preloadedState))
-                        : null;
-                    const detailProducts = extractJsonLdProducts($);
-                    const detail = detailFromState || (detailProducts.length ? detailProducts[0] : null);
-                    let merged = {
-                        ...base,
-                        ...detail,
-                        url: base.url || normalizeProductUrl(detail?.url || request.url),
-                        image: base.image || detail?.image || null,
-                        images: detail?.images?.length ? detail.images : base.images || [],
-                    };
+            health.recordPage('DETAIL', detailStats);
+            if (detail && request.userData.fingerprint) {
+                await detailCacheStore.setValue(getDetailCacheKey(merged.url), merged);
+                detailCache[merged.url] = { fingerprint: request.userData.fingerprint, fetchedAt: runStartedAt };
+                detailCacheChanged = true;
+            }
+            if (watch) merged = toWatchlistItem(merged, watch);
+            if (scrapeReviews) {
+                const reviews = await fetchReviews(merged, { html, $, session, logger: crawlerLog });
+                const { rating, reviewCount } = reviews;
+                merged = { ...merged, rating, reviewCount, pendingReviews: reviews };
+            }
+            const [withStores] = await addStoreAvailability([merged], {
+                session,
+                logger: crawlerLog,
+                config: getCommerceApiConfig(extractBootstrapConfig(html), context.locale),
+            });
+            await saveItems([withStores], crawlerLog, context);
+            return;
+        }
 
-                    if (!detail) {
-                        const htmlProducts = extractProductsFromHtml($);
-                        const match =
-                            htmlProducts.find((p) => p.url === merged.url) ||
-                            htmlProducts.find((p) => p.title === merged.title) ||
-                            htmlProducts[0];
-                        if (match) {
-                            merged = {
-                                ...merged,
-                                ...match,
-                                url: merged.url || match.url,
-                                image: merged.image || match.image,
-                            };
-                        }
-                    }
+        // A further page of a product's Bazaarvoice reviews.
+        if (request.userData?.label === 'REVIEWS') {
+            const { productId, offset } = request.userData;
+            const { reviews } = mapReviewsResponse(json, productId);
+            await saveReviews(reviews);
+            crawlerLog.debug(`Saved ${reviews.length} reviews of ${productId} from offset ${offset}`);
+            return;
+        }
 
-                    await saveItems([merged], crawlerLog);
-                    return;
-                }
+        // One page of Shopper API search results, queued by the LIST page of its start URL.
+        if (request.userData?.label === 'API') {
+            const { offset, pageNum } = request.userData;
+            if (statusCode === 401) {
+                shopperClient?.invalidateToken();
+                throw new Error(`Shopper API rejected the token (401) ${request.url}`);
+            }
+            const hits = Array.isArray(json?.hits) ? json.hits : [];
+            const mapped = mapHits(hits, context.locale);
+            health.recordPage('LIST', { api: mapped.length });
+            if (!mapped.length) {
+                crawlerLog.warning(`No products found at offset ${offset}. API may have failed or reached end.`);
+                // An API-first listing the cached parameters no longer serve is scraped from its page.
+                if (request.userData.apiFirst) await requestQueue.addRequest(getListRequest(context));
+                return;
+            }
+            crawlerLog.info(`Fetched page ${pageNum} with offset ${offset}`);
+            await enqueueOrSaveDetails(mapped, crawlerLog, context, session);
+            // API-first listings learn their total from the first page.
+            const total = Number.isFinite(json?.total) ? json.total : request.userData.total;
+            if (request.userData.lastInBatch) {
+                await enqueueNextPages(request.url, { ...request.userData, total }, context);
+            }
+            return;
+        }
 
-                const isGridRequest = request.userData?.label === 'GRID';
-                const html = $.root().html() || '';
-                const bootstrap = isGridRequest ? {} : extractBootstrapConfig(html);
+        // One Search-UpdateGrid HTML fragment, for listings the API can't serve.
+        if (request.userData?.label === 'GRID') {
+            const { offset, pageNum } = request.userData;
+            const gridStats = {};
+            const gridProducts = extractProductsFromHtml($, gridStats);
+            const renderReason = gridProducts.length ? null : getRenderReason(request, $);
+            if (await routeToBrowser(request, renderReason, crawlerLog)) return;
+            health.recordPage('GRID', gridStats);
+            if (!gridProducts.length) {
+                crawlerLog.warning(`No products found in grid at start ${offset}`);
+                return;
+            }
+            crawlerLog.info(`Fetched grid page ${pageNum} with start ${offset}`);
+            await enqueueOrSaveDetails(gridProducts, crawlerLog, context, session);
+            if (request.userData.lastInBatch) await enqueueNextPages(request.url, request.userData, context);
+            return;
+        }
 
-                let pageSize = DEFAULT_PAGE_SIZE;
-                try {
-                    const urlObj = new URL(request.url);
-                    const sz = Number(urlObj.searchParams.get('sz'));
-                    if (Number.isFinite(sz) && sz > 0) pageSize = sz;
-                } catch {
-                    // ignore
-                }
-                if (!isGridRequest && Number.isFinite(bootstrap.productSearch?.limit)) {
-                    pageSize = bootstrap.productSearch.limit;
-                }
+        const html = $.root().html() || '';
+        const bootstrap = extractBootstrapConfig(html);
+        const pageApiConfig = getCommerceApiConfig(bootstrap, context.locale);
+        if (!commerceApiConfig) commerceApiConfig = pageApiConfig;
+        if (pageApiConfig) rememberApiConfig(pageApiConfig, context.source, bootstrap.productSearch);
 
-                let startOffset = 0;
-                try {
-                    const urlObj = new URL(request.url);
-                    const start = Number(urlObj.searchParams.get('start'));
-                    if (Number.isFinite(start) && start >= 0) startOffset = start;
-                } catch {
-                    // ignore
-                }
-                if (Number.isFinite(request.userData?.offset)) {
-                    startOffset = request.userData.offset;
-                } else if (!isGridRequest && Number.isFinite(bootstrap.productSearch?.offset)) {
-                    startOffset = bootstrap.productSearch.offset;
-                }
+        let pageSize = DEFAULT_PAGE_SIZE;
+        try {
+            const urlObj = new URL(request.url);
+            const sz = Number(urlObj.searchParams.get('sz'));
+            if (Number.isFinite(sz) && sz > 0) pageSize = sz;
+        } catch {
+            // ignore
+        }
+        if (Number.isFinite(bootstrap.productSearch?.limit)) {
+            pageSize = bootstrap.productSearch.limit;
+        }
+
+        let startOffset = 0;
+        try {
+            const urlObj = new URL(request.url);
+            const start = Number(urlObj.searchParams.get('start'));
+            if (Number.isFinite(start) && start >= 0) startOffset = start;
+        } catch {
+            // ignore
+        }
+        if (Number.isFinite(request.userData?.offset)) {
+            startOffset = request.userData.offset;
+        } else if (Number.isFinite(bootstrap.productSearch?.offset)) {
+            startOffset = bootstrap.productSearch.offset;
+        }
+
+        const startPage = request.userData?.pageNum ?? 1;
 
-                const startPage = request.userData?.pageNum ?? 1;
+        let usedApi = false;
+        let usedPreloaded = false;
+        const listStats = {};
 
-                let usedApi = false;
-                let usedPreloaded = false;
+        if (bootstrap.productSearch?.hits?.length) {
+            usedPreloaded = true;
+            crawlerLog.info('Using preloaded product-search data');
+            const mapped = mapHits(bootstrap.productSearch.hits, context.locale);
+            listStats.preloadedState = mapped.length;
+            await enqueueOrSaveDetails(mapped, crawlerLog, context, session);
+        }
 
-                if (!isGridRequest && bootstrap.productSearch?.hits?.length) {
-                    usedPreloaded = true;
-                    crawlerLog.info('Using preloaded product-search data');
-                    const mapped = bootstrap.productSearch.hits.map(mapSearchHit).filter(Boolean);
-                    await enqueueOrSaveDetails(mapped, crawlerLog);
+        // Try Commerce Cloud API only if we have all required credentials.
+        if (
+            !hasReachedTarget() &&
+            bootstrap.shortCode &&
+            bootstrap.clientId &&
+            bootstrap.organizationId &&
+            (bootstrap.siteId || bootstrap.productSearch?.params?.siteId)
+        ) {
+            const bootstrapForApi = {
+                ...bootstrap,
+                siteId: bootstrap.siteId || bootstrap.productSearch?.params?.siteId,
+            };
+            // The first page is fetched here to find a working endpoint and the result total.
+            const apiResult = await tryProductSearchApi({
+                bootstrap: bootstrapForApi,
+                offset: startOffset,
+                limit: pageSize,
+                searchQuery: context.searchQuery,
+                locale: context.locale,
+                session,
+                logger: crawlerLog,
+            });
+            const apiData = apiResult?.data;
+
+            if (apiData?.hits?.length) {
+                usedApi = true;
+                const mapped = mapHits(apiData.hits, context.locale);
+                listStats.api = mapped.length;
+                await enqueueOrSaveDetails(mapped, crawlerLog, context, session);
+
+                if (!hasReachedTarget()) {
+                    await enqueueNextPages(
+                        apiResult.url,
+                        {
+                            label: 'API',
+                            offset: Number.isFinite(apiData.offset) ? apiData.offset : startOffset,
+                            limit: Number.isFinite(apiData.limit) ? apiData.limit : pageSize,
+                            total: Number.isFinite(apiData.total) ? apiData.total : null,
+                            pageNum: startPage,
+                        },
+                        context,
+                    );
                 }
+            }
+        }
 
-                // Try Commerce Cloud API only if we have all required credentials.
-                if (
-                    !isGridRequest &&
-                    !hasReachedTarget() &&
-                    bootstrap.shortCode &&
-                    bootstrap.clientId &&
-                    bootstrap.organizationId &&
-                    (bootstrap.siteId || bootstrap.productSearch?.params?.siteId)
-                ) {
-                    const bootstrapForApi = {
-                        ...bootstrap,
-                        siteId: bootstrap.siteId || bootstrap.productSearch?.params?.siteId,
-                    };
-                    let apiData = await tryProductSearchApi({
-                        bootstrap: bootstrapForApi,
+        // Without preloaded hits or API results, e.g. on a listing its scripts rendered, the product tiles are read.
+        if (!usedApi && !usedPreloaded) {
+            const htmlProducts = extractProductsFromHtml($, listStats);
+            const renderReason = htmlProducts.length ? null : getRenderReason(request, $);
+            if (await routeToBrowser(request, renderReason, crawlerLog)) return;
+            if (htmlProducts.length) await enqueueOrSaveDetails(htmlProducts, crawlerLog, context, session);
+        }
+
+        health.recordPage('LIST', listStats);
+
+        if (usedPreloaded && !usedApi && !hasReachedTarget()) {
+            const cgid = getCgidFromRefine(bootstrap.productSearch?.params?.refine) || getCgidFromUrl(request.url);
+            const locale = bootstrap.productSearch?.params?.locale || getLocaleFromUrl(request.url) || context.locale;
+            const siteId = bootstrap.siteId || bootstrap.productSearch?.params?.siteId;
+            const q = context.searchQuery || bootstrap.productSearch?.params?.q || null;
+            const gridUrl = buildGridUrl({
+                requestUrl: request.url,
+                siteId,
+                locale,
+                cgid,
+                q,
+                start: startOffset,
+                size: pageSize,
+            });
+
+            if (!gridUrl) {
+                crawlerLog.warning('Grid pagination unavailable: missing siteId or cgid/search query.');
+            } else {
+                const total = bootstrap.productSearch?.total;
+                await enqueueNextPages(
+                    gridUrl,
+                    {
+                        label: 'GRID',
                         offset: startOffset,
                         limit: pageSize,
-                        session,
-                        logger: crawlerLog,
-                    });
-
-                    if (apiData?.hits?.length) {
-                        usedApi = true;
-                        const mapped = apiData.hits.map(mapSearchHit).filter(Boolean);
-                        await enqueueOrSaveDetails(mapped, crawlerLog);
-
-                        const total = Number.isFinite(apiData.total) ? apiData.total : null;
-                        let offset = Number.isFinite(apiData.offset) ? apiData.offset : startOffset;
-                        let limit = Number.isFinite(apiData.limit) ? apiData.limit : pageSize;
-                        let pageNum = startPage;
-
-                        while (!hasReachedTarget() && pageNum < MAX_PAGES) {
-                            if (total !== null && offset + limit >= total) {
-                                crawlerLog.info(`Reached end of results (offset ${offset}, total ${total})`);
-                                break;
-                            }
-                            offset += limit;
-                            pageNum += 1;
-
-                            crawlerLog.info(`Fetching page ${pageNum} with offset ${offset}`);
-                            await new Promise((r) => setTimeout(r, 500));
-
-                            const nextData = await tryProductSearchApi({
-                                bootstrap: bootstrapForApi,
-                                offset,
-                                limit,
-                                session,
-                                logger: crawlerLog,
-                            });
-
-                            if (!nextData?.hits?.length) {
-                                crawlerLog.warning(`No more products found at offset ${offset}. API may have failed or reached end.`);
-                                break;
-                            }
-                            const mappedNext = nextData.hits.map(mapSearchHit).filter(Boolean);
-                            await enqueueOrSaveDetails(mappedNext, crawlerLog);
-                        }
-                    }
-                }
+                        total: Number.isFinite(total) ? total : null,
+                        pageNum: startPage,
+                    },
+                    context,
+                );
+            }
+        }
 
-                // Preloaded data is now handled above within the API logic to enable pagination fallback
-
-                const usedListingData = usedApi || usedPreloaded;
-
-                if (!isGridRequest && usedPreloaded && !usedApi && !hasReachedTarget()) {
-                    const cgid =
-                        getCgidFromRefine(bootstrap.productSearch?.params?.refine) ||
-                        getCgidFromUrl(request.url);
-                    const locale =
-                        bootstrap.productSearch?.params?.locale ||
-                        getLocaleFromUrl(request.url) ||
-                        'en';
-                    const siteId = bootstrap.siteId || bootstrap.productSearch?.params?.siteId;
-
-                    if (!siteId || !cgid) {
-                        crawlerLog.warning('Grid pagination unavailable: missing siteId or cgid.');
-                    } else {
-                        let offset = startOffset;
-                        let pageNum = startPage;
-                        while (!hasReachedTarget() && pageNum < MAX_PAGES) {
-                            offset += pageSize;
-                            pageNum += 1;
-                            const gridUrl = buildGridUrl({
-                                requestUrl: request.url,
-                                siteId,
-                                locale,
-                                cgid,
-                                start: offset,
-                                size: pageSize,
-                            });
-                            if (!gridUrl) {
-                                crawlerLog.warning('Grid pagination unavailable for this request.');
-                                break;
-                            }
-                            crawlerLog.info(`Fetching grid page ${pageNum} with start ${offset}`);
-                            const gridHtml = await fetchHtml({
-                                url: gridUrl,
-                                session,
-                                proxyConfiguration,
-                                logger: crawlerLog,
-                            });
-                            if (!gridHtml) {
-                                crawlerLog.warning(`Grid request failed at start ${offset}`);
-                                break;
-                            }
-                            const grid$ = load(gridHtml);
-                            const gridProducts = extractProductsFromHtml(grid$);
-                            if (!gridProducts.length) {
-                                crawlerLog.warning(`No products found in grid at start ${offset}`);
-                                break;
-                            }
-                            await enqueueOrSaveDetails(gridProducts, crawlerLog);
-                            if (hasReachedTarget()) break;
-                        }
-                    }
-                }
+        // No sitemap fallback: we only use listing/API-style sources.
+    };
 
-                // No sitemap fallback: we only use listing/API-style sources.
+    // `requests` replaces the start URLs, e.g. for the translation pass.
+    const runCrawler = async (requests = null) => {
+        crawlerInstance = new CheerioCrawler({
+            requestQueue,
+            proxyConfiguration: proxyManager.configuration,
+            useSessionPool: true,
+            sessionPoolOptions: {
+                maxPoolSize: 50,
+                sessionOptions: { maxUsageCount: 50 },
+                // Blocked answers reach the request handler, which backs off and queues them again.
+                blockedStatusCodes: [],
             },
-            errorHandler({ request, log: crawlerLog }, error) {
-                if (itemsSaved >= MAX_ITEMS) return;
+            ignoreHttpErrorStatusCodes: [503],
+            maxConcurrency: 10,
+            minConcurrency: 1,
+            requestHandlerTimeoutSecs: 120,
+            maxRequestRetries: MAX_REQUEST_RETRIES,
+            preNavigationHooks: [
+                async ({ request, session }) => {
+                    await waitForThrottle(request);
+                    request.headers = {
+                        ...getSessionHeaders(session),
+                        ...request.headers,
+                    };
+                    if (shopperClient && request.userData?.label === 'API') {
+                        const accessToken = await shopperClient.getAccessToken();
+                        if (accessToken) request.headers.Authorization = `Bearer ${accessToken}`;
+                    }
+                },
+            ],
+            requestHandler: handlePage,
+            errorHandler({ request, session, log: crawlerLog }, error) {
+                // Crawlee logs these itself.
+                if (error instanceof RetryRequestError) return;
+                if (itemsSaved >= MAX_ITEMS && !request.userData?.followUp) return;
                 const message = error?.message || String(error);
-                const errorMessages = Array.isArray(request?.errorMessages) ? request.errorMessages.join(' ') : '';
-                const combined = `${message} ${errorMessages}`;
-                if (isProxyAuthError(combined)) {
-                    proxyState.authFailed = true;
-                    disableProxy('Proxy authentication failed', crawlerLog);
-                    crawlerLog.warning(
-                        `Proxy authentication failed. Disable Apify Proxy or use an allowed proxy group. (${request.url})`
-                    );
-                } else {
-                    crawlerLog.warning(`Request failed (retrying) ${request.url}: ${message}`);
+                // A request whose proxy rejected its credentials is moved to the next proxy tier for its retry.
+                proxyManager.recordError(request, session, message);
+                // The token may have expired mid-run; the retry gets a fresh one.
+                if (request.userData?.label === 'API' && /\b401\b/.test(message)) {
+                    shopperClient?.invalidateToken();
                 }
+                crawlerLog.warning(`Request failed (retrying) ${request.url}: ${message}`);
             },
-            failedRequestHandler({ request, log: crawlerLog }, error) {
-                if (itemsSaved >= MAX_ITEMS) return;
+            failedRequestHandler({ request, session, log: crawlerLog }, error) {
+                if (itemsSaved >= MAX_ITEMS && !request.userData?.followUp) return;
+                requestsFailed += 1;
                 const message = error?.message || String(error);
                 const errorMessages = Array.isArray(request?.errorMessages) ? request.errorMessages.join(' ') : '';
                 const combined = `${message} ${errorMessages}`;
+                proxyManager.recordError(request, session, message);
                 if (isProxyAuthError(combined)) {
-                    proxyState.authFailed = true;
-                    disableProxy('Proxy authentication failed', crawlerLog);
                     crawlerLog.error(
                         `Proxy authentication failed. Disable Apify Proxy or use an allowed proxy group. (${request.url})`
                     );
@@ -1228,29 +1567,307 @@ try {
             },
         });
 
-        const initialUrls = buildStartUrls();
-        if (!initialUrls.length) {
-            log.error('No start URLs provided or generated.');
+        if (requests) {
+            await requestQueue.addRequests(requests);
+            if (requests.length) log.info(`Starting crawl with ${requests.length} URL(s)`);
+            await crawlerInstance.run();
             return;
         }
 
-        for (const url of initialUrls) {
-            await requestQueue.addRequest({ url, userData: { label: 'LIST', pageNum: 1 } });
+        const initialSources = buildStartUrls();
+        const watchlistRequests = productUrls
+            .map((href) => {
+                const url = normalizeProductUrl(localeMode ? localizeUrl(href, primaryLocale) : href);
+                if (!url) log.warning(`Skipping invalid product URL: ${href}`);
+                const urlLocale = url ? getLocaleFromUrl(url) : null;
+                const locale = LOCALES.includes(urlLocale) ? urlLocale : primaryLocale;
+                return (
+                    url && {
+                        url,
+                        userData: { label: 'DETAIL', watchlist: true, base: { url }, source: 'watchlist', locale },
+                    }
+                );
+            })
+            .filter(Boolean);
+        if (!initialSources.length && !watchlistRequests.length) {
+            if (!productIds.length) log.error('No start URLs provided or generated.');
+            return;
         }
 
-        log.info(`Starting crawl with ${initialUrls.length} URL(s)`);
+        for (const { url, locale, searchQuery, categoryPath } of initialSources) {
+            const context = { source: url, locale, searchQuery, categoryPath };
+            await requestQueue.addRequest(getApiFirstRequest(context) || getListRequest(context));
+        }
+
+        if (watchlistRequests.length) await requestQueue.addRequests(watchlistRequests);
+
+        log.info(`Starting crawl with ${initialSources.length + watchlistRequests.length} URL(s)`);
         await crawlerInstance.run();
     };
 
-    await runCrawler();
+    // Renders the queued pages and hands them to `handlePage` as if they had been fetched over HTTP.
+    const runBrowserCrawler = async (queue, { PlaywrightCrawler, chromium }) => {
+        crawlerInstance = new PlaywrightCrawler({
+            requestQueue: queue,
+            proxyConfiguration: proxyManager.configuration,
+            useSessionPool: true,
+            sessionPoolOptions: { maxPoolSize: 10, blockedStatusCodes: [] },
+            maxConcurrency: BROWSER_MAX_CONCURRENCY,
+            requestHandlerTimeoutSecs: 120,
+            navigationTimeoutSecs: 60,
+            maxRequestRetries: MAX_REQUEST_RETRIES,
+            launchContext: { launcher: chromium },
+            preNavigationHooks: [
+                async ({ request }) => {
+                    // Pages past `maxItems` are dropped without loading them, unless they complete saved products.
+                    if (!request.userData?.followUp && itemsSaved >= MAX_ITEMS) {
+                        request.skipNavigation = true;
+                        return;
+                    }
+                    await waitForThrottle(request);
+                },
+            ],
+            async requestHandler({ request, response, page, session, log: crawlerLog }) {
+                if (request.skipNavigation) return;
+                // A solved challenge reloads the page; the wait carries on across that navigation.
+                const ready = await page
+                    .waitForSelector(BROWSER_READY_SELECTORS[request.userData.label], {
+                        state: 'attached',
+                        timeout: BROWSER_READY_TIMEOUT_SECS * 1000,
+                    })
+                    .then(
+                        () => true,
+                        () => false,
+                    );
+                const statusCode = response?.status() ?? null;
+                const headers = response?.headers() || {};
+                const blocked = [...BLOCKED_STATUS_CODES, ...PROXY_AUTH_STATUS_CODES].includes(statusCode);
+                if (blocked && !ready) {
+                    proxyManager.recordResponse(request, session, statusCode);
+                    throttle.recordResponse(request.url, statusCode, headers['retry-after']);
+                    session?.retire();
+                    throw new Error(`Blocked (${statusCode}) in the browser ${request.url}`);
+                }
+                if (!ready) crawlerLog.warning(`No products rendered in ${BROWSER_READY_TIMEOUT_SECS}s ${request.url}`);
+                browserRendered += 1;
+                // Once the challenge is solved, its status no longer describes the page.
+                await handlePage({
+                    request,
+                    response: blocked ? null : { statusCode, headers },
+                    $: load(await page.content()),
+                    json: null,
+                    session,
+                    log: crawlerLog,
+                });
+            },
+            errorHandler({ request, log: crawlerLog }, error) {
+                if (error instanceof RetryRequestError) return;
+                crawlerLog.warning(`Browser request failed (retrying) ${request.url}: ${error?.message || error}`);
+            },
+            failedRequestHandler({ request, log: crawlerLog }, error) {
+                requestsFailed += 1;
+                crawlerLog.error(`Browser request failed ${request.url}: ${error?.message || error}`);
+            },
+        });
+        await crawlerInstance.run();
+    };
+
+    // Rendered pages may queue more pages for the HTTP crawler, and those more pages for the browser.
+    // Playwright is only loaded when a page needs it, so HTTP-only runs don't pay for it.
+    const runBrowserFallback = async () => {
+        if (!browserFallback) return;
+        const queue = await getBrowserQueue();
+        if (await queue.isFinished()) return;
+        const [{ PlaywrightCrawler }, { chromium }] = await Promise.all([import('crawlee'), import('playwright')]);
+        while (!(await queue.isFinished())) {
+            await runBrowserCrawler(queue, { PlaywrightCrawler, chromium });
+            await runCrawler([]);
+        }
+    };
+
+    if (categoryDiscovery !== 'off') {
+        const categories = await discoverCategoryTree({ countProducts: categoryDiscovery === 'tree' });
+        await Actor.setValue('CATEGORY_TREE', categories);
+        if (categoryDiscovery === 'tree') {
+            if (categories.length) await Actor.pushData(categories);
+        } else {
+            discoveredLeaves = categories.filter((row) => row.isLeaf && row.url);
+            log.info(`Crawling ${discoveredLeaves.length} leaf categories`);
+        }
+    }
+
+    if (categoryDiscovery !== 'tree') {
+        if (productIds.length) await fetchWatchlistProducts();
 
-    if (proxyConfiguration && proxyState.authFailed) {
-        log.warning('Proxy authentication failed. Retrying without proxy.');
-        proxyState.authFailed = false;
-        proxyState.disabled = true;
-        proxyConfiguration = undefined;
-        requestQueue = await Actor.openRequestQueue(`direct-${Date.now()}`);
         await runCrawler();
+        await runBrowserFallback();
+
+        if (translationLocales.length && pendingItems.length) {
+            const requests = [];
+            for (const locale of translationLocales) {
+                for (const { item } of pendingItems) {
+                    requests.push({
+                        url: localizeUrl(item.url, locale),
+                        userData: { label: 'DETAIL', followUp: true, translationOf: getProductKey(item), locale },
+                    });
+                }
+            }
+            log.info(`Fetching ${translationLocales.join(', ')} versions of ${pendingItems.length} products`);
+            await runCrawler(requests);
+            await runBrowserFallback();
+
+            const records = [];
+            for (const { item, variants } of pendingItems) {
+                const translated = translations.get(getProductKey(item)) || {};
+                const merged = mergeLocalizedItem(item, translated);
+                if (outputMode === 'variants') {
+                    records.push(
+                        ...buildVariantRecords(merged, mergeLocalizedVariants(variants, item.locale, translated)),
+                    );
+                } else {
+                    records.push(merged);
+                }
+            }
+            await Actor.pushData(records.map(formatRecord));
+            const missing = pendingItems.filter(({ item }) => !translations.has(getProductKey(item))).length;
+            if (missing) log.warning(`${missing} products have no ${translationLocales.join(', ')} version`);
+        }
+
+        if (reviewRequests.length) {
+            log.info(`Fetching ${reviewRequests.length} more review pages`);
+            await runCrawler(reviewRequests);
+        }
+        if (scrapeReviews) log.info(`Saved ${reviewsSaved} reviews to dataset "${reviewsDatasetName}"`);
+
+        if (trackListingChanges) {
+            const snapshots = (await historyStore.getValue(LISTING_SNAPSHOT_KEY)) || {};
+            const complete = !maxLimitHit && !maxQueueHit && !maxPagesHit && !requestsFailed && !blockedDropped;
+            if (!complete) {
+                log.warning(
+                    'Crawl stopped at maxItems or maxPages, or gave up on some pages, ' +
+                        'removed products are not reported for this run.',
+                );
+            }
+            const sources = [];
+            for (const { url: source } of buildStartUrls()) {
+                const seen = seenBySource.get(source) || new Map();
+                const diff = diffListingSnapshot(snapshots[source], seen, runStartedAt, { complete });
+                snapshots[source] = diff.snapshot;
+                sources.push({
+                    source,
+                    seen: seen.size,
+                    added: diff.added,
+                    removed: diff.removed,
+                    reappeared: diff.reappeared,
+                });
+            }
+            await historyStore.setValue(LISTING_SNAPSHOT_KEY, snapshots);
+            const totals = {
+                added: sources.reduce((sum, entry) => sum + entry.added.length, 0),
+                removed: sources.reduce((sum, entry) => sum + entry.removed.length, 0),
+                reappeared: sources.reduce((sum, entry) => sum + entry.reappeared.length, 0),
+            };
+            await Actor.setValue('CHANGES', { runAt: runStartedAt, complete, totals, sources });
+            log.info(
+                `Listing changes: ${totals.added} added, ${totals.removed} removed, ${totals.reappeared} reappeared`,
+            );
+        }
+    }
+
+    if (trackPriceHistory) {
+        log.info(`Price history updated for ${priceHistoryUpdated} products`);
+        if (onlyChangedItems) log.info(`Skipped ${unchangedSkipped} products with unchanged price and stock`);
+    }
+    if (alertsEnabled) {
+        await flushAlerts();
+        log.info(`Sent ${alertsSent} alerts in total`);
+    }
+    if (apiFirst) {
+        await apiCacheStore.setValue(API_CACHE_KEY, apiCache);
+        const credentials = apiCache.config ? 'saved' : 'missing';
+        log.info(`API cache: ${Object.keys(apiCache.listings).length} listings, credentials ${credentials}`);
+    }
+    if (incrementalDetails) {
+        const expired = getExpiredUrls(detailCache, runStartedAt, detailCacheTtlMs);
+        for (const url of expired) {
+            delete detailCache[url];
+            await detailCacheStore.setValue(getDetailCacheKey(url), null);
+        }
+        await detailCacheStore.setValue(DETAIL_CACHE_KEY, detailCache);
+        const cached = Object.keys(detailCache).length;
+        log.info(`Detail cache: reused ${detailCacheHits} products, ${cached} cached, ${expired.length} expired`);
+    }
+
+    // Exports cover the whole dataset, including items saved before a migration.
+    if (exportFormats.length && categoryDiscovery !== 'tree') {
+        const items = [];
+        const dataset = await Actor.openDataset();
+        await dataset.forEach((item) => {
+            items.push(item);
+        });
+        for (const { key, value, contentType } of await buildExports(items, exportFormats)) {
+            await Actor.setValue(key, value, { contentType });
+        }
+        log.info(`Exported ${items.length} records as ${exportFormats.join(', ')}`);
+    }
+
+    const throttleStats = throttle.toJSON();
+    await Actor.setValue('RATE_LIMIT_STATS', {
+        runAt: runStartedAt,
+        ...throttleStats,
+        blockedRequeued,
+        blockedDropped,
+        throttledRequeued,
+    });
+    if (blockedRequeued || throttledRequeued || throttleStats.circuitBreaks) {
+        log.info(
+            `Rate limiting: ${blockedRequeued} blocked requests queued again, ${blockedDropped} given up, ` +
+                `${throttledRequeued} queued again after waiting ${MAX_THROTTLE_WAIT_SECS}s for the rate limit, ` +
+                `${throttleStats.circuitBreaks} circuit breaker pauses`,
+        );
+    }
+
+    if (browserRouted.challenge || browserRouted.clientRendered) {
+        log.info(
+            `Browser fallback: ${browserRendered} pages rendered, queued for ` +
+                `${browserRouted.challenge} bot challenges and ${browserRouted.clientRendered} client-rendered pages`,
+        );
+    }
+    if (browserQueue) await browserQueue.drop();
+
+    const proxyStats = proxyManager.toJSON();
+    await Actor.setValue('PROXY_STATS', { runAt: runStartedAt, ...proxyStats });
+    for (const tier of proxyStats.tiers) {
+        const rate = tier.blockRate === null ? '' : ` (${Math.round(tier.blockRate * 100)}%)`;
+        const blocked = `${tier.blocks} blocked${rate}`;
+        const status = tier.disabled ? `, disabled: ${tier.reason}` : '';
+        log.info(
+            `Proxy tier "${tier.name}": ${tier.requests} requests, ${tier.successes} succeeded, ${blocked}${status}`,
+        );
+    }
+
+    // The run finished, so there is nothing left to resume. `Actor.exit` persists state once more unless unsubscribed.
+    Actor.off('persistState', persistCrawlState);
+    await persistPromise;
+    await Actor.setValue(CRAWL_STATE_KEY, null);
+
+    if (categoryDiscovery !== 'tree') {
+        const report = health.toJSON();
+        const issues = evaluateHealth(report, healthThresholds);
+        await Actor.setValue('RUN_REPORT', {
+            runAt: runStartedAt,
+            ...report,
+            thresholds: healthThresholds,
+            healthy: !issues.length,
+            issues,
+        });
+        for (const issue of issues) log.error(`Extraction health: ${issue.message}`);
+        if (issues.length) {
+            log.error('The site structure may have changed. See the RUN_REPORT record for per-strategy counts.');
+            if (failOnHealthIssues) {
+                await Actor.fail(`Extraction health check failed: ${issues.map((issue) => issue.message).join('; ')}`);
+            }
+        }
     }
 
     log.info(`Scraping completed. Total products saved: ${itemsSaved}`);
@@ -0,0 +1,263 @@
+import { getColorFamily, mapColorOptions } from './colors.js';
+import { getListPrice, getPriceRange, mapPricebookPrices, mapPromotions } from './promotions.js';
+import { getLocalizedText, normalizeProductUrl, toAbs, toNumber, uniqStrings } from './utils.js';
+
+export const mapVariationValues = (variationAttributes, ids, locale = 'en') => {
+    const values = [];
+    for (const attr of variationAttributes || []) {
+        if (!attr || !attr.id) continue;
+        if (!ids.includes(String(attr.id).toLowerCase())) continue;
+        const attrValues = Array.isArray(attr.values) ? attr.values : [];
+        for (const entry of attrValues) {
+            const name = getLocalizedText(entry?.name, locale);
+            if (name) values.push(name);
+            if (entry?.value && typeof entry.value === 'string') values.push(entry.value);
+        }
+    }
+    return uniqStrings(values);
+};
+
+export const getVariationName = (entry, locale = 'en') => {
+    if (!entry) return null;
+    const name = getLocalizedText(entry.name, locale);
+    if (name) return name;
+    return entry.value ? String(entry.value) : null;
+};
+
+const findVariationAttribute = (variationAttributes, ids) =>
+    (variationAttributes || []).find((attr) => attr?.id && ids.includes(String(attr.id).toLowerCase())) || null;
+
+const getVariationValue = (variationValues, ids) => {
+    if (!variationValues || typeof variationValues !== 'object') return null;
+    for (const [key, value] of Object.entries(variationValues)) {
+        if (ids.includes(key.toLowerCase()) && value !== null && value !== undefined) return String(value);
+    }
+    return null;
+};
+
+const findVariationImage = (imageGroups, attrId, value) => {
+    if (!Array.isArray(imageGroups) || !value) return null;
+    for (const group of imageGroups) {
+        const attrs = Array.isArray(group?.variationAttributes) ? group.variationAttributes : [];
+        const matches = attrs.some(
+            (attr) =>
+                String(attr?.id).toLowerCase() === attrId &&
+                (attr.values || []).some((entry) => String(entry?.value) === value),
+        );
+        if (!matches) continue;
+        const img = group.images?.[0];
+        if (img?.link || img?.src) return img.link || img.src;
+    }
+    return null;
+};
+
+// One record per orderable SKU (color x size x width) of a Commerce Cloud master product.
+export const mapProductVariants = (product, locale = 'en') => {
+    if (!product || typeof product !== 'object' || !Array.isArray(product.variants)) return [];
+    const variationAttributes = product.c_variationAttributes || product.variationAttributes || [];
+    const colorAttr = findVariationAttribute(variationAttributes, ['color', 'colour']);
+    const sizeAttr = findVariationAttribute(variationAttributes, ['size']);
+    const widthAttr = findVariationAttribute(variationAttributes, ['width']);
+    const lookupName = (attr, value) => {
+        if (!attr || !value) return value || null;
+        const entry = (attr.values || []).find((item) => String(item?.value) === value);
+        return getVariationName(entry, locale) || value;
+    };
+
+    return product.variants
+        .filter((variant) => variant && typeof variant === 'object')
+        .map((variant) => {
+            const colorCode = getVariationValue(variant.variationValues, ['color', 'colour']);
+            const colorName = lookupName(colorAttr, colorCode);
+            const sizeCode = getVariationValue(variant.variationValues, ['size']);
+            const widthCode = getVariationValue(variant.variationValues, ['width']);
+            let quantity = null;
+            if (Number.isFinite(variant.c_qtyInStock)) quantity = variant.c_qtyInStock;
+            else if (Number.isFinite(variant.inventory?.ats)) quantity = variant.inventory.ats;
+            const image = findVariationImage(product.imageGroups, 'color', colorCode);
+            return {
+                variantId: variant.productId || variant.id || null,
+                colorCode,
+                colorName,
+                colorFamily: getColorFamily(colorName),
+                size: lookupName(sizeAttr, sizeCode),
+                width: lookupName(widthAttr, widthCode),
+                orderable: variant.orderable ?? variant.inventory?.orderable ?? null,
+                quantity,
+                price: toNumber(variant.price ?? variant.pricePerUnit),
+                image: image ? toAbs(image) : null,
+            };
+        });
+};
+
+// Whether each size can be ordered in any color or width, with the stock summed across them when known.
+export const mapSizeAvailability = (variants) => {
+    const sizes = new Map();
+    for (const variant of variants || []) {
+        if (!variant?.size) continue;
+        const entry = sizes.get(variant.size) || { size: variant.size, inStock: false, quantity: null };
+        if (variant.orderable) entry.inStock = true;
+        if (Number.isFinite(variant.quantity)) entry.quantity = (entry.quantity || 0) + variant.quantity;
+        sizes.set(variant.size, entry);
+    }
+    return [...sizes.values()];
+};
+
+// With per-pricebook prices the list pricebook gives the original price. Without them, a higher `priceMax` is taken
+// as the original price, unless it is just the price of the most expensive variant.
+const getOriginalPrice = (price, priceMax, pricebookPrices, variantPrices = []) => {
+    if (pricebookPrices.length) return getListPrice(pricebookPrices, price);
+    if (variantPrices.includes(priceMax)) return null;
+    return priceMax && price && priceMax > price ? priceMax : null;
+};
+
+// A `priceMax` taken as the original price is not a selling price.
+const getSellingPriceRange = (price, priceMax, originalPrice, variantPrices = []) =>
+    getPriceRange(price, originalPrice !== null && originalPrice === priceMax ? null : priceMax, ...variantPrices);
+
+// Search hits list the variation values but not the variants, so this is the number of possible combinations.
+const countVariations = (variationAttributes) =>
+    variationAttributes.reduce((count, attr) => count * Math.max(attr?.values?.length || 0, 1), 1);
+
+export const mapSearchHit = (hit, locale = 'en') => {
+    if (!hit || typeof hit !== 'object') return null;
+    const variationAttributes = hit.c_variationAttributes || hit.variationAttributes || [];
+    const colors = mapVariationValues(variationAttributes, ['color', 'colour'], locale);
+    const sizes = mapVariationValues(variationAttributes, ['size'], locale);
+    const colorOptions = mapColorOptions(hit, locale);
+    const image =
+        hit?.image?.link ||
+        hit?.image?.src ||
+        hit?.imageGroups?.[0]?.images?.[0]?.link ||
+        hit?.imageGroups?.[0]?.images?.[0]?.src;
+    const price = toNumber(hit.price ?? hit.pricePerUnit ?? hit.priceMin ?? hit.pricePerUnitMin);
+    const priceMax = toNumber(hit.priceMax ?? hit.pricePerUnitMax);
+    const pricebookPrices = mapPricebookPrices(hit);
+    const originalPrice = getOriginalPrice(price, priceMax, pricebookPrices);
+
+    const productUrl = hit.c_productUrl || hit.productUrl || hit.url || hit.link;
+    const represented = hit.representedProduct || {};
+    const images = Array.isArray(hit.imageGroups)
+        ? uniqStrings(
+              hit.imageGroups
+                  .flatMap((group) => group?.images || [])
+                  .map((img) => img?.link || img?.src)
+                  .filter(Boolean),
+          )
+        : [];
+    const categories = uniqStrings([
+        ...(Array.isArray(hit.c_productCategories) ? hit.c_productCategories : []),
+        ...(Array.isArray(represented.c_primaryCategories) ? represented.c_primaryCategories : []),
+    ]);
+
+    return {
+        title: hit.productName || hit.name || null,
+        brand: hit.c_brand || hit.brand?.name || hit.brand || null,
+        price,
+        originalPrice,
+        priceRange: getSellingPriceRange(price, priceMax, originalPrice),
+        pricebookPrices,
+        promotions: mapPromotions(hit.productPromotions),
+        isClearance: hit.c_isClearance ?? null,
+        currency: hit.currency || 'CAD',
+        url: productUrl ? normalizeProductUrl(productUrl) : null,
+        image: image ? toAbs(image) : null,
+        images: images.map((link) => toAbs(link)),
+        colors,
+        sizes,
+        inStock: hit.orderable ?? hit.representedProduct?.c_qtyInStock > 0,
+        productId: hit.productId || hit.representedProduct?.id || null,
+        description: represented.c_productDescription || null,
+        features: Array.isArray(represented.c_productFeatures) ? represented.c_productFeatures : [],
+        attributes: Array.isArray(represented.c_productAttributesDisplay) ? represented.c_productAttributesDisplay : [],
+        categories,
+        gender: Array.isArray(represented.c_gender) ? represented.c_gender : [],
+        materials: Array.isArray(represented.c_material) ? represented.c_material : [],
+        colorName: represented.c_colorname || (colorOptions.length === 1 ? colorOptions[0].name : null),
+        colorOptions,
+        variantCount: Array.isArray(hit.variants) ? hit.variants.length : countVariations(variationAttributes),
+    };
+};
+
+export const mapDetailProduct = (product, locale = 'en') => {
+    if (!product || typeof product !== 'object') return null;
+    const variationAttributes = product.c_variationAttributes || product.variationAttributes || [];
+    const colors = mapVariationValues(variationAttributes, ['color', 'colour'], locale);
+    const sizes = mapVariationValues(variationAttributes, ['size'], locale);
+    const colorOptions = mapColorOptions(product, locale);
+    const images = Array.isArray(product.imageGroups)
+        ? uniqStrings(
+              product.imageGroups
+                  .flatMap((group) => group?.images || [])
+                  .map((img) => img?.link || img?.src)
+                  .filter(Boolean),
+          )
+        : [];
+    const image = images[0] || product?.image?.link || product?.image?.src || null;
+    const price = toNumber(product.price ?? product.pricePerUnit ?? product.priceMin ?? product.pricePerUnitMin);
+    const priceMax = toNumber(product.priceMax ?? product.pricePerUnitMax);
+    const pricebookPrices = mapPricebookPrices(product);
+    const variants = mapProductVariants(product, locale);
+    const variantPrices = variants.map((variant) => variant.price);
+    const originalPrice = getOriginalPrice(price, priceMax, pricebookPrices, variantPrices);
+
+    const represented = product.representedProduct || product.master || {};
+    const categories = uniqStrings([
+        ...(Array.isArray(product.c_productCategories) ? product.c_productCategories : []),
+        ...(Array.isArray(product.c_primaryCategories) ? product.c_primaryCategories : []),
+        ...(Array.isArray(represented.c_primaryCategories) ? represented.c_primaryCategories : []),
+    ]);
+
+    return {
+        title: product.name || product.productName || null,
+        brand: product.brand?.name || product.brand || null,
+        price,
+        originalPrice,
+        priceRange: getSellingPriceRange(price, priceMax, originalPrice, variantPrices),
+        pricebookPrices,
+        promotions: mapPromotions(product.productPromotions),
+        isClearance: product.c_isClearance ?? represented.c_isClearance ?? null,
+        currency: product.currency || 'CAD',
+        url: product.slugUrl || product.url || product.c_productUrl || null,
+        image: image ? toAbs(image) : null,
+        images: images.map((link) => toAbs(link)),
+        colors,
+        sizes,
+        inStock:
+            product.orderable ??
+            product.inventory?.orderable ??
+            (Number.isFinite(product.c_qtyInStock) ? product.c_qtyInStock > 0 : undefined),
+        productId: product.id || product.productId || represented.id || null,
+        description:
+            product.c_productDescription ||
+            product.longDescription ||
+            product.shortDescription ||
+            represented.c_productDescription ||
+            null,
+        features: Array.isArray(product.c_productFeatures)
+            ? product.c_productFeatures
+            : Array.isArray(represented.c_productFeatures)
+              ? represented.c_productFeatures
+              : [],
+        attributes: Array.isArray(product.c_productAttributesDisplay)
+            ? product.c_productAttributesDisplay
+            : Array.isArray(represented.c_productAttributesDisplay)
+              ? represented.c_productAttributesDisplay
+              : [],
+        categories,
+        gender: Array.isArray(product.c_gender)
+            ? product.c_gender
+            : Array.isArray(represented.c_gender)
+              ? represented.c_gender
+              : [],
+        materials: Array.isArray(product.c_material)
+            ? product.c_material
+            : Array.isArray(represented.c_material)
+              ? represented.c_material
+              : [],
+        colorName:
+            product.c_colorname || represented.c_colorname || (colorOptions.length === 1 ? colorOptions[0].name : null),
+        colorOptions,
+        variants,
+    };
+};
@@ -0,0 +1,82 @@
+import { toNumber, uniqStrings } from './utils.js';
+
+// Clearance shows up in callouts, badges, pricebook IDs or category IDs, in English or French.
+const CLEARANCE_PATTERN = /clearance|liquidation|final sale|vente finale|d[ée]gagement/i;
+
+// Callouts are HTML snippets, e.g. `<span class="callout">Extra 30% off</span>`.
+const toCalloutText = (value) =>
+    typeof value === 'string'
+        ? value
+              .replace(/<[^>]*>/g, ' ')
+              .replace(/\s+/g, ' ')
+              .trim() || null
+        : null;
+
+// `productPromotions` of Shopper Search hits and Shopper Products.
+export const mapPromotions = (promotions) =>
+    (Array.isArray(promotions) ? promotions : [])
+        .filter((promotion) => promotion && typeof promotion === 'object')
+        .map((promotion) => ({
+            id: promotion.promotionId || promotion.id || null,
+            callout: toCalloutText(promotion.calloutMsg),
+            promotionalPrice: toNumber(promotion.promotionalPrice),
+        }))
+        .filter((promotion) => promotion.id || promotion.callout);
+
+// Tile and product-page badges carry a callout but no promotion ID or price.
+export const mapPromotionBadges = (texts) =>
+    uniqStrings((texts || []).map(toCalloutText)).map((callout) => ({ id: null, callout, promotionalPrice: null }));
+
+// Shopper Search `priceRanges` give a min and max price per pricebook, Shopper Products `prices` a single price each.
+// Both are only returned with `perPricebook`.
+export const mapPricebookPrices = (product) => {
+    if (Array.isArray(product?.priceRanges)) {
+        return product.priceRanges
+            .filter((range) => range?.pricebook)
+            .map((range) => ({
+                pricebook: range.pricebook,
+                minPrice: toNumber(range.minPrice),
+                maxPrice: toNumber(range.maxPrice ?? range.minPrice),
+            }));
+    }
+    if (product?.prices && typeof product.prices === 'object') {
+        return Object.entries(product.prices).map(([pricebook, value]) => ({
+            pricebook,
+            minPrice: toNumber(value),
+            maxPrice: toNumber(value),
+        }));
+    }
+    return [];
+};
+
+// The regular price of a product on sale: the lowest list pricebook price above the selling price.
+// Pricebook IDs name their role, e.g. "cad-list-prices" and "cad-sale-prices".
+export const getListPrice = (pricebookPrices, price) => {
+    if (!Number.isFinite(price)) return null;
+    const listPrices = (pricebookPrices || [])
+        .filter((entry) => /list/i.test(entry.pricebook))
+        .flatMap((entry) => [entry.minPrice, entry.maxPrice])
+        .filter((value) => Number.isFinite(value) && value > price);
+    return listPrices.length ? Math.min(...listPrices) : null;
+};
+
+export const getPriceRange = (...prices) => {
+    const values = prices.map(toNumber).filter(Number.isFinite);
+    return values.length ? { min: Math.min(...values), max: Math.max(...values) } : null;
+};
+
+// Whole percent off the original price, e.g. 119.99 instead of 149.99 is 20.
+export const getDiscountPercent = (price, originalPrice) =>
+    Number.isFinite(price) && Number.isFinite(originalPrice) && originalPrice > price && price >= 0
+        ? Math.round((1 - price / originalPrice) * 100)
+        : null;
+
+export const isClearanceItem = (item) => {
+    if (item?.isClearance === true) return true;
+    const texts = [
+        ...(item?.promotions || []).map((promotion) => promotion.callout),
+        ...(item?.pricebookPrices || []).map((entry) => entry.pricebook),
+        ...(item?.categories || []),
+    ];
+    return texts.some((text) => typeof text === 'string' && CLEARANCE_PATTERN.test(text));
+};
@@ -0,0 +1,165 @@
+import { ProxyConfiguration } from 'crawlee';
+
+import { PROXY_AUTH_STATUS_CODES, PROXY_BLOCK_STATUS_CODES } from './constants.js';
+
+export const isProxyAuthError = (message) => {
+    if (!message) return false;
+    const text = message.toString();
+    return (
+        text.includes('UPSTREAM407') ||
+        text.includes('Proxy responded with 597') ||
+        (/proxy/i.test(text) && /407|597/.test(text))
+    );
+};
+
+// Status code of crawlee's "Request blocked - received 403 status code." errors.
+export const getBlockedStatusCode = (message) => {
+    const match = String(message || '').match(/Request blocked - received (\d{3}) status code/);
+    return match ? Number(match[1]) : null;
+};
+
+// Short label of a proxy configuration input, e.g. "RESIDENTIAL", "auto", "custom" or "none".
+export const getProxyTierName = (options) => {
+    if (options?.proxyUrls?.length) return 'custom';
+    if (!options || options.useApifyProxy === false) return 'none';
+    if (options.apifyProxyGroups?.length) return options.apifyProxyGroups.join('+');
+    return 'auto';
+};
+
+const ratio = (part, total) => (total ? Math.round((part / total) * 1000) / 1000 : null);
+
+const createCounts = () => ({ requests: 0, successes: 0, blocks: 0, errors: 0 });
+
+const withRates = (counts) => ({
+    ...counts,
+    successRate: ratio(counts.successes, counts.requests),
+    blockRate: ratio(counts.blocks, counts.requests),
+});
+
+// `tiers` is the ordered fallback chain, as [{ name, configuration }] with `configuration` null for no proxy.
+// Requests start on the first usable tier; a blocked request moves to the next one on its own retry, through
+// `userData.proxyTier`, while the others stay where they are. A tier whose proxy rejects its credentials is
+// skipped by every request. `state` is a previous `toJSON()` result, e.g. from before a migration.
+export const createProxyManager = (tiers, { logger, state = null } = {}) => {
+    const entries = tiers.map((tier, index) => {
+        const saved = state?.tiers?.[index]?.name === tier.name ? state.tiers[index] : null;
+        return {
+            ...tier,
+            disabled: saved?.disabled || false,
+            reason: saved?.reason || null,
+            counts: {
+                requests: saved?.requests || 0,
+                successes: saved?.successes || 0,
+                blocks: saved?.blocks || 0,
+                errors: saved?.errors || 0,
+            },
+        };
+    });
+    const sessions = new Map(
+        (state?.sessions || []).map(({ sessionId, tier, requests, successes, blocks, errors }) => [
+            sessionId,
+            { tier, counts: { requests, successes, blocks, errors } },
+        ]),
+    );
+
+    // The request's tier, or the first tier after it that is still usable. The last tier is used when none is.
+    const getTierIndex = (request = null) => {
+        const start = Math.min(request?.userData?.proxyTier || 0, entries.length - 1);
+        const index = entries.findIndex((entry, i) => i >= start && !entry.disabled);
+        return index === -1 ? entries.length - 1 : index;
+    };
+
+    const disableTier = (index, reason) => {
+        const entry = entries[index];
+        // The last tier is kept so requests always have somewhere to go.
+        if (entry.disabled || index === entries.length - 1) return;
+        entry.disabled = true;
+        entry.reason = reason;
+        logger?.warning?.(`Proxy tier "${entry.name}" disabled: ${reason}`);
+    };
+
+    const record = (request, session, outcome) => {
+        const index = getTierIndex(request);
+        const entry = entries[index];
+        entry.counts.requests += 1;
+        entry.counts[outcome] += 1;
+        if (session?.id) {
+            const stats = sessions.get(session.id) || { tier: entry.name, counts: createCounts() };
+            stats.tier = entry.name;
+            stats.counts.requests += 1;
+            stats.counts[outcome] += 1;
+            sessions.set(session.id, stats);
+        }
+        return index;
+    };
+
+    // Moves the request to the next tier; returns that tier's name, or null when it was on the last one.
+    const escalate = (request, index, reason) => {
+        if (!request?.userData || index >= entries.length - 1) return null;
+        request.userData.proxyTier = index + 1;
+        const next = entries[getTierIndex(request)];
+        logger?.info?.(
+            `${reason} on proxy tier "${entries[index].name}", retrying through "${next.name}" ${request.url}`,
+        );
+        return next.name;
+    };
+
+    const newUrl = async (sessionId, request = null) => {
+        for (;;) {
+            const index = getTierIndex(request);
+            const { configuration } = entries[index];
+            if (!configuration) return undefined;
+            try {
+                return await configuration.newUrl(sessionId);
+            } catch (err) {
+                if (index === entries.length - 1) return undefined;
+                disableTier(index, `proxy configuration error: ${err?.message || err}`);
+            }
+        }
+    };
+
+    // Returns the name of the tier the request was moved to, or null when it stays on its tier.
+    const recordResponse = (request, session, statusCode) => {
+        if (PROXY_AUTH_STATUS_CODES.includes(statusCode)) {
+            const index = record(request, session, 'errors');
+            disableTier(index, `proxy authentication failed (${statusCode})`);
+            return escalate(request, index, `Proxy authentication failed (${statusCode})`);
+        }
+        if (PROXY_BLOCK_STATUS_CODES.includes(statusCode)) {
+            return escalate(request, record(request, session, 'blocks'), `Blocked (${statusCode})`);
+        }
+        record(request, session, 'successes');
+        return null;
+    };
+
+    const recordError = (request, session, message) => {
+        if (isProxyAuthError(message)) {
+            const index = record(request, session, 'errors');
+            disableTier(index, 'proxy authentication failed');
+            return escalate(request, index, 'Proxy authentication failed');
+        }
+        const statusCode = getBlockedStatusCode(message);
+        if (PROXY_BLOCK_STATUS_CODES.includes(statusCode)) {
+            return escalate(request, record(request, session, 'blocks'), `Blocked (${statusCode})`);
+        }
+        record(request, session, 'errors');
+        return null;
+    };
+
+    const toJSON = () => ({
+        tiers: entries.map(({ name, disabled, reason, counts }) => ({ name, disabled, reason, ...withRates(counts) })),
+        sessions: [...sessions].map(([sessionId, { tier, counts }]) => ({ sessionId, tier, ...withRates(counts) })),
+    });
+
+    return {
+        // Passed to the crawler; undefined when no tier uses a proxy.
+        configuration: entries.some((entry) => entry.configuration)
+            ? new ProxyConfiguration({ newUrlFunction: (sessionId, { request } = {}) => newUrl(sessionId, request) })
+            : undefined,
+        newUrl,
+        getTierIndex,
+        recordResponse,
+        recordError,
+        toJSON,
+    };
+};
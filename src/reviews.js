@@ -0,0 +1,78 @@
+import { REVIEWS_API_BASE_URL, REVIEWS_PAGE_SIZE } from './constants.js';
+import { toNumber } from './utils.js';
+
+// The Bazaarvoice widget on detail pages is configured with a public Conversations API passkey.
+export const extractReviewConfig = (html) => {
+    if (!/bazaarvoice/i.test(html)) return null;
+    const passkey = html.match(/passkey["']?\s*[:=]\s*["']([A-Za-z0-9]+)["']/i)?.[1];
+    return passkey ? { passkey } : null;
+};
+
+export const buildReviewsUrl = ({ passkey, productId, offset = 0, limit = REVIEWS_PAGE_SIZE }) => {
+    const url = new URL(`${REVIEWS_API_BASE_URL}/data/reviews.json`);
+    url.searchParams.set('apiversion', '5.4');
+    url.searchParams.set('passkey', passkey);
+    url.searchParams.set('Filter', `ProductId:${productId}`);
+    url.searchParams.set('Include', 'Products');
+    url.searchParams.set('Stats', 'Reviews');
+    url.searchParams.set('Sort', 'SubmissionTime:desc');
+    url.searchParams.set('Offset', String(offset));
+    url.searchParams.set('Limit', String(limit));
+    return url.href;
+};
+
+// Secondary ratings such as "Fit" or "Sizing" carry the size/fit feedback, e.g. { Fit: 'Runs small' }.
+const mapFitFeedback = (secondaryRatings) => {
+    const feedback = {};
+    for (const [key, entry] of Object.entries(secondaryRatings || {})) {
+        if (!/fit|siz|width/i.test(key) || !entry) continue;
+        feedback[entry.Label || key] = entry.ValueLabel || entry.Value || null;
+    }
+    return Object.keys(feedback).length ? feedback : null;
+};
+
+export const mapReviewsResponse = (data, productId) => {
+    const results = Array.isArray(data?.Results) ? data.Results : [];
+    const stats = data?.Includes?.Products?.[productId]?.ReviewStatistics || null;
+    return {
+        total: Number.isFinite(data?.TotalResults) ? data.TotalResults : results.length,
+        limit: Number.isFinite(data?.Limit) ? data.Limit : REVIEWS_PAGE_SIZE,
+        rating: toNumber(stats?.AverageOverallRating),
+        reviewCount: Number.isFinite(stats?.TotalReviewCount) ? stats.TotalReviewCount : null,
+        reviews: results.map((review) => ({
+            productId,
+            reviewId: review.Id ? String(review.Id) : null,
+            rating: toNumber(review.Rating),
+            title: review.Title || null,
+            text: review.ReviewText || null,
+            author: review.UserNickname || null,
+            submittedAt: review.SubmissionTime || null,
+            isRecommended: review.IsRecommended ?? null,
+            fitFeedback: mapFitFeedback(review.SecondaryRatings),
+            source: 'bazaarvoice',
+        })),
+    };
+};
+
+// Review nodes of a JSON-LD Product, for pages without the review widget.
+export const mapJsonLdReviews = (node, productId) => {
+    const reviews = Array.isArray(node?.review) ? node.review : [node?.review].filter(Boolean);
+    return reviews.map((review) => ({
+        productId,
+        reviewId: null,
+        rating: toNumber(review.reviewRating?.ratingValue),
+        title: review.name || null,
+        text: review.reviewBody || review.description || null,
+        author: review.author?.name || (typeof review.author === 'string' ? review.author : null),
+        submittedAt: review.datePublished || null,
+        isRecommended: null,
+        fitFeedback: null,
+        source: 'jsonLd',
+    }));
+};
+
+// JSON-LD reviews have no ID, so they are told apart by author, date and title.
+export const getReviewKey = (review) =>
+    review.reviewId
+        ? `${review.productId}:${review.reviewId}`
+        : [review.productId, review.author, review.submittedAt, review.title].join('|');
@@ -0,0 +1,242 @@
+import {
+    API_BASE_URL,
+    BASE_URL,
+    CATEGORY_TREE_LEVELS,
+    DEFAULT_PAGE_SIZE,
+    LOCALES,
+    MAX_REFINE_PRICE,
+    REFINEMENT_ATTRIBUTES,
+    STORE_COUNTRY_CODE,
+} from './constants.js';
+
+export const buildApiRefinements = ({ refinements, minPrice, maxPrice }) => {
+    const refine = [];
+    for (const [key, values] of Object.entries(refinements || {})) {
+        const attr = REFINEMENT_ATTRIBUTES[key];
+        if (!attr || !values?.length) continue;
+        refine.push(`${attr.api}=${values.join('|')}`);
+    }
+    if (minPrice !== null || maxPrice !== null) {
+        refine.push(`price=(${minPrice ?? 0}..${maxPrice ?? MAX_REFINE_PRICE})`);
+    }
+    return refine;
+};
+
+// Refinements from the input replace any refinement on the same attribute taken from the page.
+export const mergeRefinements = (base, extra) => {
+    const attributes = new Set(extra.map((entry) => entry.split('=')[0]));
+    const kept = (Array.isArray(base) ? base : []).filter((entry) => !attributes.has(String(entry).split('=')[0]));
+    return [...kept, ...extra];
+};
+
+export const applyUrlRefinements = (href, { refinements, minPrice, maxPrice, sort }) => {
+    const url = new URL(href);
+    const names = new Set(
+        Object.entries(refinements || {})
+            .filter(([key, values]) => REFINEMENT_ATTRIBUTES[key] && values?.length)
+            .map(([key]) => REFINEMENT_ATTRIBUTES[key].url),
+    );
+
+    // Re-number existing prefn/prefv pairs, dropping the ones the input overrides.
+    const existing = [];
+    for (const [key, value] of [...url.searchParams.entries()]) {
+        const match = key.match(/^prefn(\d+)$/);
+        if (match && !names.has(value)) existing.push([value, url.searchParams.get(`prefv${match[1]}`)]);
+    }
+    for (const key of [...url.searchParams.keys()]) {
+        if (/^pref[nv]\d+$/.test(key)) url.searchParams.delete(key);
+    }
+
+    let refineIndex = 1;
+    const setRefinement = (name, value) => {
+        url.searchParams.set(`prefn${refineIndex}`, name);
+        url.searchParams.set(`prefv${refineIndex}`, value);
+        refineIndex += 1;
+    };
+    for (const [name, value] of existing) setRefinement(name, value);
+    for (const [key, values] of Object.entries(refinements || {})) {
+        const attr = REFINEMENT_ATTRIBUTES[key];
+        if (attr && values?.length) setRefinement(attr.url, values.join('|'));
+    }
+
+    if (minPrice !== null) url.searchParams.set('pmin', String(minPrice));
+    if (maxPrice !== null) url.searchParams.set('pmax', String(maxPrice));
+    if (sort) url.searchParams.set('srule', sort);
+    return url.href;
+};
+
+export const buildSearchParams = ({ params, offset, limit }) => {
+    const searchParams = new URLSearchParams();
+
+    if (params?.siteId) searchParams.set('siteId', params.siteId);
+    if (params?.clientId) searchParams.set('clientId', params.clientId);
+    if (params?.locale) searchParams.set('locale', params.locale);
+    if (params?.q) searchParams.set('q', params.q);
+
+    if (Array.isArray(params?.refine)) {
+        for (const refine of params.refine) {
+            searchParams.append('refine', refine);
+        }
+    }
+
+    if (Array.isArray(params?.expand)) {
+        for (const expand of params.expand) {
+            searchParams.append('expand', expand);
+        }
+    }
+
+    if (params?.sort) searchParams.set('sort', params.sort);
+    if (params?.allImages !== undefined) searchParams.set('allImages', String(params.allImages));
+    if (params?.perPricebook !== undefined) searchParams.set('perPricebook', String(params.perPricebook));
+    if (params?.allVariationProperties !== undefined) {
+        searchParams.set('allVariationProperties', String(params.allVariationProperties));
+    }
+
+    searchParams.set('offset', String(offset));
+    searchParams.set('limit', String(limit));
+
+    return searchParams;
+};
+
+const getApiHost = (shortCode) => API_BASE_URL || `https://${shortCode}.api.commercecloud.salesforce.com`;
+
+export const buildApiEndpoints = ({ shortCode, organizationId }) => {
+    if (!shortCode || !organizationId) return [];
+    const host = getApiHost(shortCode);
+    return [
+        `${host}/shopper-search/v1/organizations/${organizationId}/product-search`,
+        `${host}/search/v1/organizations/${organizationId}/product-search`,
+    ];
+};
+
+// SLAS (Shopper Login and API Access Service) endpoints, e.g. `oauth2/token`.
+export const buildAuthEndpoint = ({ shortCode, organizationId }, path) =>
+    `${getApiHost(shortCode)}/shopper/auth/v1/organizations/${organizationId}/${path}`;
+
+export const buildCategoriesEndpoint = ({ shortCode, organizationId, siteId, clientId, locale }) => {
+    if (!shortCode || !organizationId || !siteId) return null;
+    const url = new URL(
+        `${getApiHost(shortCode)}/product/shopper-products/v1/organizations/${organizationId}/categories/root`,
+    );
+    url.searchParams.set('siteId', siteId);
+    url.searchParams.set('levels', String(CATEGORY_TREE_LEVELS));
+    if (clientId) url.searchParams.set('clientId', clientId);
+    if (locale) url.searchParams.set('locale', locale);
+    return url.href;
+};
+
+// Store details for the given store IDs, or stores within `radius` km of a postal code.
+export const buildStoresEndpoint = (
+    { shortCode, organizationId, siteId, clientId, locale },
+    { storeIds, postalCode, radius },
+) => {
+    if (!shortCode || !organizationId || !siteId) return null;
+    const base = `${getApiHost(shortCode)}/store/shopper-stores/v1/organizations/${organizationId}`;
+    const url = new URL(storeIds?.length ? `${base}/stores` : `${base}/store-search`);
+    url.searchParams.set('siteId', siteId);
+    if (storeIds?.length) {
+        url.searchParams.set('ids', storeIds.join(','));
+    } else {
+        url.searchParams.set('countryCode', STORE_COUNTRY_CODE);
+        url.searchParams.set('postalCode', postalCode);
+        url.searchParams.set('maxDistance', String(radius));
+        url.searchParams.set('distanceUnit', 'km');
+        url.searchParams.set('limit', '200');
+    }
+    if (clientId) url.searchParams.set('clientId', clientId);
+    if (locale) url.searchParams.set('locale', locale);
+    return url.href;
+};
+
+// Products (masters or variants) with their stock level in each of the given store inventories.
+export const buildProductsEndpoint = (
+    { shortCode, organizationId, siteId, clientId, locale },
+    ids,
+    inventoryIds,
+    expand = ['availability'],
+) => {
+    if (!shortCode || !organizationId || !siteId || !ids?.length) return null;
+    const url = new URL(
+        `${getApiHost(shortCode)}/product/shopper-products/v1/organizations/${organizationId}/products`,
+    );
+    url.searchParams.set('siteId', siteId);
+    url.searchParams.set('ids', ids.join(','));
+    if (inventoryIds?.length) url.searchParams.set('inventoryIds', inventoryIds.join(','));
+    url.searchParams.set('expand', expand.join(','));
+    if (expand.includes('images')) url.searchParams.set('allImages', 'true');
+    if (expand.includes('prices')) url.searchParams.set('perPricebook', 'true');
+    if (clientId) url.searchParams.set('clientId', clientId);
+    if (locale) url.searchParams.set('locale', locale);
+    return url.href;
+};
+
+// Fallback page URL, and deduplication key, for API products whose data has no page URL.
+export const buildProductUrl = (productId, locale = 'en') =>
+    `${BASE_URL}/${locale}/product/${encodeURIComponent(productId)}.html`;
+
+export const getLocaleFromUrl = (url) => {
+    try {
+        const parts = new URL(url).pathname.split('/').filter(Boolean);
+        return parts[0] || null;
+    } catch {
+        return null;
+    }
+};
+
+export const getCgidFromRefine = (refine) => {
+    if (!Array.isArray(refine)) return null;
+    const entry = refine.find((item) => String(item).startsWith('cgid='));
+    if (!entry) return null;
+    const value = String(entry).split('=').slice(1).join('=');
+    return value || null;
+};
+
+export const getCgidFromUrl = (url) => {
+    try {
+        return new URL(url).searchParams.get('cgid');
+    } catch {
+        return null;
+    }
+};
+
+// Points a storefront URL at another language site: `/en/women` -> `/fr/women`, including SFRA controller URLs.
+export const localizeUrl = (href, locale) => {
+    const url = new URL(href);
+    const pattern = new RegExp(`^(/|.*/Sites-[^/]+-Site/)(${LOCALES.join('|')})(?=[_/-]|$)`);
+    url.pathname = pattern.test(url.pathname)
+        ? url.pathname.replace(pattern, `$1${locale}`)
+        : `/${locale}${url.pathname === '/' ? '/' : url.pathname}`;
+    return url.href;
+};
+
+export const withSearchParam = (href, name, value) => {
+    const url = new URL(href);
+    url.searchParams.set(name, String(value));
+    return url.href;
+};
+
+export const buildSearchUrl = (query, locale = 'en') => {
+    const url = new URL(`${BASE_URL}/${locale}/search`);
+    url.searchParams.set('q', query);
+    return url.href;
+};
+
+export const buildGridUrl = ({ requestUrl, siteId, locale, cgid, q, start, size }) => {
+    if (!siteId || !locale || (!cgid && !q) || !Number.isFinite(start)) return null;
+    const base = new URL(`${BASE_URL}/on/demandware.store/Sites-${siteId}-Site/${locale}/Search-UpdateGrid`);
+    try {
+        const current = new URL(requestUrl);
+        for (const [key, value] of current.searchParams.entries()) {
+            if (key === 'start' || key === 'sz' || key === 'page') continue;
+            base.searchParams.append(key, value);
+        }
+    } catch {
+        // Ignore invalid URLs and continue with minimal params.
+    }
+
+    if (cgid) base.searchParams.set('cgid', cgid);
+    if (q) base.searchParams.set('q', q);
+    base.searchParams.set('start', String(start));
+    base.searchParams.set('sz', String(size || DEFAULT_PAGE_SIZE));
+    return base.href;
+};
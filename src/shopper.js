@@ -0,0 +1,168 @@
+import { createHash, randomBytes } from 'node:crypto';
+
+import { BASE_URL, PRODUCT_API_BATCH_SIZE, TOKEN_REFRESH_MARGIN_MS } from './constants.js';
+import { requestJson } from './http.js';
+import {
+    buildApiEndpoints,
+    buildAuthEndpoint,
+    buildCategoriesEndpoint,
+    buildProductsEndpoint,
+    buildSearchParams,
+    buildStoresEndpoint,
+} from './search.js';
+
+// Verifier and challenge of the PKCE flow public SLAS clients log guests in with.
+export const createPkcePair = () => {
+    const verifier = randomBytes(48).toString('base64url');
+    return { verifier, challenge: createHash('sha256').update(verifier).digest('base64url') };
+};
+
+export const isTokenExpired = (token, now = Date.now()) => !token || token.expiresAt - TOKEN_REFRESH_MARGIN_MS <= now;
+
+// The authorize call answers with a redirect to the callback URL carrying the authorization code.
+export const readAuthorizationCode = (location) => {
+    if (!location) return null;
+    try {
+        const url = new URL(location, BASE_URL);
+        const code = url.searchParams.get('code');
+        return code ? { code, usid: url.searchParams.get('usid') } : null;
+    } catch {
+        return null;
+    }
+};
+
+// Client for the Shopper APIs with the site's public credentials ({ shortCode, organizationId, siteId, clientId }).
+// Calls carry a SLAS guest token when the site issues one; sites that don't are called without it, as before.
+export const createShopperClient = (config, { proxyManager, throttle, logger }) => {
+    const { siteId, clientId } = config;
+    const redirectUri = `${BASE_URL}/callback`;
+    let token = null;
+    let tokenPromise = null;
+    let tokenUnavailable = false;
+
+    const requestToken = async (form) => {
+        const { statusCode, body } = await requestJson({
+            url: buildAuthEndpoint(config, 'oauth2/token'),
+            method: 'POST',
+            form: { client_id: clientId, channel_id: siteId, ...form },
+            proxyManager,
+            throttle,
+            logger,
+        });
+        if (statusCode !== 200 || !body?.access_token) {
+            logger?.debug?.(`Shopper API: ${form.grant_type} token request failed (${statusCode})`);
+            return null;
+        }
+        return {
+            accessToken: body.access_token,
+            refreshToken: body.refresh_token || null,
+            expiresAt: Date.now() + (Number(body.expires_in) || 1800) * 1000,
+        };
+    };
+
+    const loginGuest = async () => {
+        const { verifier, challenge } = createPkcePair();
+        const url = new URL(buildAuthEndpoint(config, 'oauth2/authorize'));
+        url.searchParams.set('client_id', clientId);
+        url.searchParams.set('channel_id', siteId);
+        url.searchParams.set('hint', 'guest');
+        url.searchParams.set('response_type', 'code');
+        url.searchParams.set('redirect_uri', redirectUri);
+        url.searchParams.set('code_challenge', challenge);
+        const { statusCode, headers } = await requestJson({ url: url.href, proxyManager, throttle, logger });
+        const authorization = readAuthorizationCode(headers?.location);
+        if (!authorization) {
+            logger?.debug?.(`Shopper API: guest authorization failed (${statusCode})`);
+            return null;
+        }
+        return requestToken({
+            grant_type: 'authorization_code_pkce',
+            code: authorization.code,
+            usid: authorization.usid || undefined,
+            code_verifier: verifier,
+            redirect_uri: redirectUri,
+        });
+    };
+
+    // Concurrent callers share one login or refresh.
+    const getAccessToken = async () => {
+        if (tokenUnavailable) return null;
+        if (!isTokenExpired(token)) return token.accessToken;
+        if (!tokenPromise) {
+            tokenPromise = (async () => {
+                const refreshed = token?.refreshToken
+                    ? await requestToken({ grant_type: 'refresh_token', refresh_token: token.refreshToken })
+                    : null;
+                token = refreshed || (await loginGuest());
+                if (!token) {
+                    tokenUnavailable = true;
+                    logger?.warning?.('Shopper API: no guest token issued, calling the API without one');
+                }
+                return token?.accessToken || null;
+            })().finally(() => {
+                tokenPromise = null;
+            });
+        }
+        return tokenPromise;
+    };
+
+    // Forces a refresh on the next call, e.g. after the API rejected the token.
+    const invalidateToken = () => {
+        if (token) token = { ...token, expiresAt: 0 };
+    };
+
+    // A rejected token is renewed and the call repeated once.
+    const get = async (url, session) => {
+        if (!url) return null;
+        for (let attempt = 0; attempt < 2; attempt += 1) {
+            const accessToken = await getAccessToken();
+            const headers = accessToken ? { Authorization: `Bearer ${accessToken}` } : {};
+            const { statusCode, body } = await requestJson({ url, headers, session, proxyManager, throttle, logger });
+            if (statusCode >= 200 && statusCode < 300) return body;
+            if (statusCode !== 401 || !accessToken) {
+                logger?.debug?.(`Shopper API request failed (${statusCode}) ${url}`);
+                return null;
+            }
+            invalidateToken();
+        }
+        return null;
+    };
+
+    const withLocale = (locale) => (locale ? { ...config, locale } : config);
+
+    // Products by ID in batches; `failedIds` are the IDs of batches the API didn't answer.
+    const getProducts = async (ids, { locale, expand, inventoryIds, session } = {}) => {
+        const products = [];
+        const failedIds = [];
+        for (let i = 0; i < ids.length; i += PRODUCT_API_BATCH_SIZE) {
+            const batch = ids.slice(i, i + PRODUCT_API_BATCH_SIZE);
+            const url = buildProductsEndpoint(withLocale(locale), batch, inventoryIds, expand);
+            const data = await get(url, session);
+            if (Array.isArray(data?.data)) products.push(...data.data.filter(Boolean));
+            else failedIds.push(...batch);
+        }
+        return { products, failedIds };
+    };
+
+    return {
+        config,
+        getAccessToken,
+        invalidateToken,
+        // The first search endpoint that answers, and the URL it answered on so further pages can be queued.
+        search: async (params, { offset = 0, limit, session } = {}) => {
+            for (const base of buildApiEndpoints(config)) {
+                const searchParams = buildSearchParams({ params: { siteId, clientId, ...params }, offset, limit });
+                const url = `${base}?${searchParams.toString()}`;
+                const data = await get(url, session);
+                if (Array.isArray(data?.hits)) return { data, url };
+            }
+            return null;
+        },
+        getProducts,
+        // Stock of products in the given store inventories.
+        getAvailability: (ids, inventoryIds, options = {}) =>
+            getProducts(ids, { ...options, inventoryIds, expand: ['availability'] }),
+        getCategories: ({ locale, session } = {}) => get(buildCategoriesEndpoint(withLocale(locale)), session),
+        getStores: (query, { locale, session } = {}) => get(buildStoresEndpoint(withLocale(locale), query), session),
+    };
+};
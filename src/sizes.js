@@ -0,0 +1,110 @@
+// Size labels come in whatever format the product uses, e.g. "8", "8.5 W", "EU 39", "UK 6", "Toddler 6" or "10C".
+const SYSTEM_PATTERNS = [
+    ['EU', /\b(?:eu|eur|fr)\b/i],
+    ['UK', /\buk\b/i],
+    ['US', /\bus\b/i],
+];
+
+const WIDTH_PATTERNS = [
+    ['Extra Wide', /\b(?:extra[\s-]*wide|x-?wide|xw|ww|4e|eeee)\b/i],
+    ['Wide', /\b(?:wide|w|2e|ee|e)\b/i],
+    ['Narrow', /\b(?:narrow|n|2a|aa)\b/i],
+    ['Medium', /\b(?:medium|regular|m|b|d)\b/i],
+];
+
+const AGE_GROUP_PATTERNS = [
+    ['infant', /\b(?:infant|baby)\b/i],
+    ['toddler', /\b(?:toddlers?|tod)\b|\d\s*t\b/i],
+    ['youth', /\b(?:youth|junior|big\s*kids?)\b|\d\s*y\b/i],
+    ['kids', /\b(?:kids?|little\s*kids?|child(?:ren)?)\b|\d\s*[ck]\b/i],
+];
+
+const LETTER_SIZES = ['xxs', 'xs', 's', 'm', 'l', 'xl', 'xxl', 'xxxl', 'one size', 'os'];
+
+// Plain numbers this large are European sizes; North American shoe sizes stop well below.
+const MIN_EU_SIZE = 30;
+
+const parseNumber = (text) => {
+    const match = text.match(/(\d+(?:[.,]\d+)?)(?:\s*(½|1\/2))?/);
+    if (!match) return null;
+    const value = Number(match[1].replace(',', '.')) + (match[2] ? 0.5 : 0);
+    return Number.isFinite(value) ? value : null;
+};
+
+const findPattern = (patterns, text) => patterns.find(([, pattern]) => pattern.test(text))?.[0] || null;
+
+// Returns { raw, system, value, width, ageGroup }, or null for labels that are not sizes.
+export const parseSize = (label) => {
+    if (label === null || label === undefined) return null;
+    const raw = String(label).trim();
+    // Commerce Cloud variation codes such as "080" are listed next to the display names.
+    if (!raw || /^0\d+$/.test(raw)) return null;
+
+    const lower = raw.toLowerCase();
+    if (LETTER_SIZES.includes(lower)) {
+        return { raw, system: 'letter', value: null, width: null, ageGroup: null };
+    }
+
+    // Dual labels such as "US 7 / UK 5" are read from their first size, whose system goes with its number.
+    const first = raw.split(/\s+\/\s+|\/(?=[a-z])/i)[0];
+    const value = parseNumber(first);
+    if (value === null) return null;
+    // Width letters are only read after the number, so "M 8" stays a men's size rather than a medium width.
+    const suffix = first.slice(first.search(/\d/)).replace(/^[\d.,\s½/]+/, '');
+    return {
+        raw,
+        system: findPattern(SYSTEM_PATTERNS, first) || (value >= MIN_EU_SIZE ? 'EU' : 'US'),
+        value,
+        width: findPattern(WIDTH_PATTERNS, suffix),
+        ageGroup: findPattern(AGE_GROUP_PATTERNS, raw) || 'adult',
+    };
+};
+
+export const parseSizes = (labels) => {
+    const sizes = new Map();
+    for (const label of labels || []) {
+        const size = parseSize(label);
+        if (!size) continue;
+        const key = [size.system, size.value ?? size.raw.toLowerCase(), size.width, size.ageGroup].join('|');
+        if (!sizes.has(key)) sizes.set(key, size);
+    }
+    return [...sizes.values()];
+};
+
+// Filter values are exact sizes ("8", "8.5 W", "EU 39") or ranges ("8-9.5", "8–9.5 W", "EU 39 to 41").
+// The system and age group are read from the start of a range, the width from its end.
+export const parseSizeFilter = (text) => {
+    const raw = String(text || '').trim();
+    if (!raw) return null;
+    const range = raw.match(/^(.*?\d(?:[.,]\d+)?)\s*(?:-|–|—|\bto\b)\s*(\d.*)$/i);
+    const from = parseSize(range ? range[1] : raw);
+    const to = range ? parseSize(range[2]) : from;
+    // Letter sizes and labels that don't parse are matched as they are written.
+    if (!Number.isFinite(from?.value) || !Number.isFinite(to?.value))
+        return { raw, isRange: false, label: raw.toLowerCase() };
+    return {
+        raw,
+        isRange: Boolean(range),
+        label: null,
+        system: from.system,
+        min: Math.min(from.value, to.value),
+        max: Math.max(from.value, to.value),
+        width: to.width,
+        // Unlike parsed sizes, a filter without an age group matches every age group.
+        ageGroup: findPattern(AGE_GROUP_PATTERNS, raw),
+    };
+};
+
+// A filter without a width matches every width of that size.
+export const matchesSizeFilter = (label, filter) => {
+    if (filter.label !== null) return String(label).trim().toLowerCase() === filter.label;
+    const size = parseSize(label);
+    if (!Number.isFinite(size?.value) || size.system !== filter.system) return false;
+    if (size.value < filter.min || size.value > filter.max) return false;
+    if (filter.width && size.width !== filter.width) return false;
+    if (filter.ageGroup && size.ageGroup !== filter.ageGroup) return false;
+    return true;
+};
+
+export const matchesAnySize = (labels, filters) =>
+    labels.some((label) => filters.some((filter) => matchesSizeFilter(label, filter)));
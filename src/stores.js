@@ -0,0 +1,56 @@
+import { toNumber } from './utils.js';
+
+export const mapStores = (data) => {
+    const stores = Array.isArray(data?.data) ? data.data : [];
+    return stores
+        .filter((store) => store?.id)
+        .map((store) => ({
+            storeId: String(store.id),
+            storeName: store.name || null,
+            city: store.city || null,
+            postalCode: store.postalCode || null,
+            distance: toNumber(store.distance),
+            inventoryId: store.inventoryId || null,
+        }));
+};
+
+// One entry per store; `inStock` is null when the API returned no inventory record for that store.
+export const mapStoreAvailability = (inventories, stores) =>
+    stores.map((store) => {
+        const inventory = (inventories || []).find((entry) => store.inventoryId && entry?.id === store.inventoryId);
+        const ats = Number.isFinite(inventory?.ats) ? inventory.ats : null;
+        return {
+            storeId: store.storeId,
+            storeName: store.storeName,
+            city: store.city,
+            distance: store.distance,
+            inStock: inventory ? Boolean(inventory.orderable) && (ats === null || ats > 0) : null,
+            quantity: ats,
+        };
+    });
+
+// Product-level availability falls back to "any variant in stock" when the master has no inventory record.
+export const attachStoreAvailability = (item, inventoriesById, stores) => {
+    const variants = Array.isArray(item.variants)
+        ? item.variants.map((variant) => ({
+              ...variant,
+              storeAvailability: mapStoreAvailability(inventoriesById.get(variant.variantId), stores),
+          }))
+        : item.variants;
+
+    let storeAvailability = mapStoreAvailability(inventoriesById.get(item.productId), stores);
+    if (variants?.length && storeAvailability.every((entry) => entry.inStock === null)) {
+        storeAvailability = storeAvailability.map((entry, index) => {
+            const perVariant = variants.map((variant) => variant.storeAvailability[index]);
+            const known = perVariant.filter((value) => value.inStock !== null);
+            if (!known.length) return entry;
+            const quantities = known.map((value) => value.quantity).filter((value) => value !== null);
+            return {
+                ...entry,
+                inStock: known.some((value) => value.inStock),
+                quantity: quantities.length ? quantities.reduce((sum, value) => sum + value, 0) : null,
+            };
+        });
+    }
+    return { ...item, variants, storeAvailability };
+};
@@ -0,0 +1,155 @@
+import { setTimeout as sleep } from 'node:timers/promises';
+
+import { BLOCKED_STATUS_CODES, DEFAULT_RATE_LIMIT } from './constants.js';
+
+// `Retry-After` is either a number of seconds or an HTTP date.
+export const parseRetryAfter = (value, now = Date.now()) => {
+    if (value === null || value === undefined || value === '') return null;
+    const text = String(value).trim();
+    if (/^\d+(?:\.\d+)?$/.test(text)) return Math.round(Number(text) * 1000);
+    const date = Date.parse(text);
+    return Number.isFinite(date) ? Math.max(date - now, 0) : null;
+};
+
+// Exponential backoff with jitter: between half and all of `baseMs * 2^attempt`, capped at `maxMs`.
+export const getBackoffMs = (attempt, { baseMs, maxMs }, random = Math.random) => {
+    const cap = Math.min(maxMs, baseMs * 2 ** attempt);
+    return Math.round(cap / 2 + (random() * cap) / 2);
+};
+
+// Settings that can be null, to turn the per-host limit or the circuit breaker off.
+const NULLABLE_SETTINGS = ['requestsPerMinute', 'circuitBreakerBlockRate'];
+const INTEGER_SETTINGS = ['maxBlockedRetries', 'circuitBreakerWindow'];
+
+// Missing or invalid values keep their defaults. `maxBlockedRetries` can be 0 to give up on blocked requests.
+export const parseRateLimit = (value) => {
+    const options = value && typeof value === 'object' ? value : {};
+    const settings = { ...DEFAULT_RATE_LIMIT };
+    for (const key of Object.keys(DEFAULT_RATE_LIMIT)) {
+        const number = Number(options[key]);
+        if (options[key] === null && NULLABLE_SETTINGS.includes(key)) {
+            settings[key] = null;
+        } else if (options[key] !== undefined && options[key] !== null && Number.isFinite(number)) {
+            if (number > 0 || (key === 'maxBlockedRetries' && number === 0)) {
+                settings[key] = INTEGER_SETTINGS.includes(key) ? Math.floor(number) : number;
+            }
+        }
+    }
+    return settings;
+};
+
+const getHost = (url) => {
+    try {
+        return new URL(url).host;
+    } catch {
+        return '';
+    }
+};
+
+// Spaces requests to each host by `requestsPerMinute`. A host that answers 403, 429 or 503 is paused for its
+// `Retry-After` or an exponential backoff, and its spacing doubles until it answers normally again. When the share of
+// blocked answers among the last `circuitBreakerWindow` ones reaches `circuitBreakerBlockRate`, every host is paused.
+// `state`, the `toJSON()` of a run before its migration, seeds the counters; pauses and spacing start afresh.
+export const createThrottle = (options, { logger, random = Math.random, state: previous = null } = {}) => {
+    const baseIntervalMs = options.requestsPerMinute ? 60000 / options.requestsPerMinute : 0;
+    const backoff = { baseMs: options.backoffBaseSecs * 1000, maxMs: options.backoffMaxSecs * 1000 };
+    const hosts = new Map();
+    let recent = [];
+    let pausedUntil = 0;
+    let circuitBreaks = previous?.circuitBreaks || 0;
+
+    const getHostState = (host) => {
+        if (!hosts.has(host)) {
+            const saved = previous?.hosts?.[host];
+            hosts.set(host, {
+                nextAt: 0,
+                pausedUntil: 0,
+                intervalMs: baseIntervalMs,
+                consecutiveBlocks: 0,
+                requests: saved?.requests || 0,
+                blocked: saved?.blocked || 0,
+                waitedMs: saved?.waitedMs || 0,
+            });
+        }
+        return hosts.get(host);
+    };
+    for (const host of Object.keys(previous?.hosts || {})) getHostState(host);
+
+    // Resolves once the request may be sent; the slot is reserved right away so concurrent callers queue up.
+    // A slot more than `maxWaitMs` away is not reserved: the caller waits `maxWaitMs` and gets false, to try later.
+    const wait = async (url, { maxWaitMs = Infinity } = {}) => {
+        const state = getHostState(getHost(url));
+        const now = Date.now();
+        const startAt = Math.max(now, state.nextAt, state.pausedUntil, pausedUntil);
+        if (startAt - now > maxWaitMs) {
+            state.waitedMs += maxWaitMs;
+            await sleep(maxWaitMs);
+            return false;
+        }
+        state.nextAt = startAt + state.intervalMs;
+        state.requests += 1;
+        if (startAt > now) {
+            state.waitedMs += startAt - now;
+            await sleep(startAt - now);
+        }
+        return true;
+    };
+
+    const recordOutcome = (blocked) => {
+        if (options.circuitBreakerBlockRate === null) return;
+        recent.push(blocked);
+        if (recent.length > options.circuitBreakerWindow) recent.shift();
+        const blocks = recent.filter(Boolean).length;
+        if (recent.length < options.circuitBreakerWindow || blocks / recent.length < options.circuitBreakerBlockRate) {
+            return;
+        }
+        pausedUntil = Date.now() + options.circuitBreakerPauseSecs * 1000;
+        circuitBreaks += 1;
+        logger?.warning?.(
+            `Circuit breaker: ${blocks} of the last ${recent.length} requests were blocked, ` +
+                `pausing all requests for ${options.circuitBreakerPauseSecs}s`,
+        );
+        recent = [];
+    };
+
+    // Returns how long the host is paused for when the response is a block, 0 otherwise.
+    const recordResponse = (url, statusCode, retryAfter = null) => {
+        const state = getHostState(getHost(url));
+        if (!BLOCKED_STATUS_CODES.includes(statusCode)) {
+            state.consecutiveBlocks = 0;
+            // Spacing recovers gradually, so a host that just blocked isn't hit at full speed straight away.
+            const recovered = state.intervalMs * 0.9;
+            state.intervalMs = recovered < Math.max(baseIntervalMs, 100) ? baseIntervalMs : recovered;
+            recordOutcome(false);
+            return 0;
+        }
+        state.blocked += 1;
+        const delayMs = Math.max(
+            parseRetryAfter(retryAfter) ?? 0,
+            getBackoffMs(state.consecutiveBlocks, backoff, random),
+        );
+        state.consecutiveBlocks += 1;
+        state.intervalMs = Math.min(Math.max(state.intervalMs * 2, 1000), backoff.maxMs);
+        state.pausedUntil = Math.max(state.pausedUntil, Date.now() + delayMs);
+        recordOutcome(true);
+        return delayMs;
+    };
+
+    const toJSON = () => ({
+        requestsPerMinute: options.requestsPerMinute,
+        circuitBreaks,
+        hosts: Object.fromEntries(
+            [...hosts].map(([host, { requests, blocked, waitedMs, intervalMs }]) => [
+                host,
+                { requests, blocked, waitedMs, intervalMs: Math.round(intervalMs) },
+            ]),
+        ),
+    });
+
+    return {
+        wait,
+        recordResponse,
+        getBackoffMs: (attempt) => getBackoffMs(attempt, backoff, random),
+        toJSON,
+    };
+};
@@ -0,0 +1,102 @@
+import { createHash } from 'node:crypto';
+
+import { BASE_URL } from './constants.js';
+
+export const toAbs = (href) => {
+    try {
+        return new URL(href, BASE_URL).href;
+    } catch {
+        return null;
+    }
+};
+
+export const normalizeProductUrl = (href) => {
+    if (!href) return null;
+    try {
+        const url = new URL(href, BASE_URL);
+        if (url.pathname.includes('/product/')) {
+            url.search = '';
+            url.hash = '';
+        }
+        return url.href;
+    } catch {
+        return null;
+    }
+};
+
+export const toNumber = (value) => {
+    if (value === null || value === undefined || value === '') return null;
+    const num = Number(String(value).replace(/[^\d.]/g, ''));
+    return Number.isFinite(num) ? num : null;
+};
+
+export const toBoolean = (value, defaultValue = false) => {
+    if (value === null || value === undefined) return defaultValue;
+    if (typeof value === 'boolean') return value;
+    if (typeof value === 'number') return value === 1;
+    if (typeof value === 'string') {
+        const normalized = value.trim().toLowerCase();
+        return ['true', '1', 'yes', 'y'].includes(normalized);
+    }
+    return defaultValue;
+};
+
+export const uniqStrings = (values) => [...new Set(values.filter(Boolean))];
+
+// Commerce Cloud returns either a plain string or an object keyed by language, e.g. `{ en: 'Black', fr: 'Noir' }`.
+export const getLocalizedText = (value, locale = 'en') => {
+    if (typeof value === 'string') return value;
+    if (!value || typeof value !== 'object') return null;
+    return value[locale] || value.en || Object.values(value).find((entry) => typeof entry === 'string') || null;
+};
+
+export const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Accepts an array of strings or a comma-separated string.
+export const toStringList = (value) => {
+    if (Array.isArray(value)) {
+        return uniqStrings(value.map((entry) => (typeof entry === 'string' ? entry.trim() : null)));
+    }
+    if (typeof value === 'string') return uniqStrings(value.split(',').map((entry) => entry.trim()));
+    return [];
+};
+
+const decodeHtmlEntities = (value) => {
+    if (!value || typeof value !== 'string') return value;
+    return value
+        .replace(/&quot;/g, '"')
+        .replace(/&#34;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&apos;/g, "'")
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&');
+};
+
+export const parseJsonAttribute = (value) => {
+    if (!value) return null;
+    const decoded = decodeHtmlEntities(value);
+    try {
+        return JSON.parse(decoded);
+    } catch {
+        return null;
+    }
+};
+
+// Per-product key-value store records are keyed by URL, but store keys allow few characters, so the URL is hashed.
+export const toStoreKey = (prefix, url) => `${prefix}-${createHash('sha1').update(url).digest('hex')}`;
+
+// Runs `fn` over the items with at most `limit` calls in flight, keeping the results in item order.
+export const mapWithConcurrency = async (items, limit, fn) => {
+    const results = new Array(items.length);
+    let next = 0;
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next;
+            next += 1;
+            results[index] = await fn(items[index], index);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+};
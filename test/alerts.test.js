@@ -0,0 +1,113 @@
+import assert from 'node:assert/strict';
+import { createHmac } from 'node:crypto';
+import { createServer } from 'node:http';
+import { describe, it } from 'node:test';
+
+import { hasAlertRules, matchAlertRules, parseAlertRules, sendWebhook } from '../src/alerts.js';
+
+const item = {
+    productId: 'M101',
+    title: 'Test Boot 1',
+    url: 'https://www.brownsshoes.com/en/product/test-boot-1/M101.html',
+    price: 120,
+    originalPrice: 150,
+    currency: 'CAD',
+    inStock: true,
+    sizes: ['7', '8'],
+};
+
+describe('parseAlertRules', () => {
+    it('ignores invalid rules', () => {
+        const rules = parseAlertRules({ priceDropPercent: 'x', onSale: 'yes', watchSizes: { M101: '8, 9', M102: [] } });
+        assert.deepEqual(rules, {
+            priceDropPercent: null,
+            onSale: false,
+            backInStock: false,
+            watchSizes: { M101: ['8', '9'] },
+        });
+        assert.equal(hasAlertRules(rules), true);
+        assert.equal(hasAlertRules(parseAlertRules(null)), false);
+    });
+});
+
+describe('matchAlertRules', () => {
+    const rules = parseAlertRules({
+        priceDropPercent: 10,
+        onSale: true,
+        backInStock: true,
+        watchSizes: { M101: ['8'] },
+    });
+
+    it('reports price drops, sales, restocks and watched sizes', () => {
+        const alerts = matchAlertRules(item, rules, { previous: { price: 140, inStock: false } });
+        assert.deepEqual(
+            alerts.map((alert) => alert.rule),
+            ['priceDrop', 'onSale', 'backInStock', 'sizeAvailable'],
+        );
+        assert.equal(alerts[0].dropPercent, 14.29);
+        assert.equal(alerts[1].discountPercent, 20);
+        assert.deepEqual(alerts[3].sizes, ['8']);
+    });
+
+    it('skips drops below the threshold and products without history', () => {
+        const onlyDrops = parseAlertRules({ priceDropPercent: 20 });
+        assert.deepEqual(matchAlertRules(item, onlyDrops, { previous: { price: 140 } }), []);
+        assert.deepEqual(matchAlertRules(item, onlyDrops), []);
+    });
+
+    it('checks watched sizes against orderable variants', () => {
+        const variants = [
+            { size: '7', orderable: true },
+            { size: '8', orderable: false },
+        ];
+        assert.deepEqual(
+            matchAlertRules(item, rules, { variants }).map((alert) => alert.rule),
+            ['onSale'],
+        );
+    });
+});
+
+describe('sendWebhook', () => {
+    const startServer = async (statuses) => {
+        const received = [];
+        const server = createServer((req, res) => {
+            let body = '';
+            req.on('data', (chunk) => {
+                body += chunk;
+            });
+            req.on('end', () => {
+                received.push({ headers: req.headers, body });
+                res.writeHead(statuses[received.length - 1] ?? 200);
+                res.end();
+            });
+        });
+        await new Promise((resolve) => {
+            server.listen(0, '127.0.0.1', resolve);
+        });
+        return { server, received, url: `http://127.0.0.1:${server.address().port}/hook` };
+    };
+
+    it('retries server errors and signs the body', async () => {
+        const { server, received, url } = await startServer([503, 200]);
+        try {
+            const ok = await sendWebhook({ url, payload: { alerts: [] }, secret: 'shh', backoffMs: 1 });
+            assert.equal(ok, true);
+            assert.equal(received.length, 2);
+            const signature = createHmac('sha256', 'shh').update(received[1].body).digest('hex');
+            assert.equal(received[1].headers['x-browns-signature'], `sha256=${signature}`);
+        } finally {
+            server.close();
+        }
+    });
+
+    it('gives up on client errors', async () => {
+        const { server, received, url } = await startServer([400]);
+        try {
+            assert.equal(await sendWebhook({ url, payload: {}, backoffMs: 1 }), false);
+            assert.equal(received.length, 1);
+            assert.equal(received[0].headers['x-browns-signature'], undefined);
+        } finally {
+            server.close();
+        }
+    });
+});
@@ -0,0 +1,61 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { describe, it } from 'node:test';
+
+import { load } from 'cheerio';
+
+import { getBrowserFallbackReason, isChallengePage } from '../src/browser.js';
+import { extractProductsFromHtml } from '../src/extractors.js';
+
+const fixture = (name) => readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+
+describe('isChallengePage', () => {
+    it('recognises a bot-protection interstitial', () => {
+        assert.equal(isChallengePage(fixture('challenge.html')), true);
+        assert.equal(isChallengePage('<html><head><title>Access Denied</title></head></html>'), true);
+    });
+
+    it('leaves product and listing pages alone', () => {
+        assert.equal(isChallengePage(fixture('listing.html')), false);
+        assert.equal(isChallengePage(fixture('detail.html')), false);
+        assert.equal(isChallengePage(fixture('client-shell.html')), false);
+        assert.equal(isChallengePage(''), false);
+    });
+});
+
+describe('getBrowserFallbackReason', () => {
+    it('sends challenges to the browser whatever the page type', () => {
+        for (const label of ['LIST', 'GRID', 'DETAIL']) {
+            assert.equal(getBrowserFallbackReason(fixture('challenge.html'), label), 'challenge');
+        }
+    });
+
+    it('sends client-rendered listing and product pages to the browser', () => {
+        assert.equal(getBrowserFallbackReason(fixture('client-shell.html'), 'LIST'), 'clientRendered');
+        assert.equal(getBrowserFallbackReason(fixture('client-shell.html'), 'DETAIL'), 'clientRendered');
+    });
+
+    it('keeps grid fragments and pages with embedded data on HTTP', () => {
+        assert.equal(getBrowserFallbackReason(fixture('client-shell.html'), 'GRID'), null);
+        assert.equal(getBrowserFallbackReason(fixture('listing.html'), 'LIST'), null);
+        assert.equal(getBrowserFallbackReason(fixture('detail.html'), 'DETAIL'), null);
+        assert.equal(getBrowserFallbackReason(fixture('detail-jsonld.html'), 'DETAIL'), null);
+    });
+
+    it('does not render pages without scripts', () => {
+        assert.equal(getBrowserFallbackReason('<html><body><p>Not found</p></body></html>', 'DETAIL'), null);
+        assert.equal(getBrowserFallbackReason('', 'LIST'), null);
+    });
+});
+
+describe('rendered pages', () => {
+    it('yield products to the HTML extractors once their scripts have run', () => {
+        assert.deepEqual(extractProductsFromHtml(load(fixture('client-shell.html'))), []);
+        const products = extractProductsFromHtml(load(fixture('rendered-listing.html')));
+        assert.deepEqual(
+            products.map((product) => product.productId),
+            ['M106', 'M107', null],
+        );
+        assert.equal(products[2].title, 'Test Sneaker 8');
+    });
+});
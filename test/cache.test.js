@@ -0,0 +1,57 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { getDetailCacheKey, getExpiredUrls, getListingFingerprint, hasCachedDetail } from '../src/cache.js';
+
+const HOUR = 60 * 60 * 1000;
+const now = '2024-05-02T00:00:00.000Z';
+const listing = { price: 99.99, inStock: true, variantCount: 6, image: 'https://example.com/a.jpg', title: 'Boot' };
+const fingerprint = getListingFingerprint(listing);
+const index = {
+    fresh: { fingerprint, fetchedAt: '2024-05-01T12:00:00.000Z' },
+    old: { fingerprint, fetchedAt: '2024-04-01T00:00:00.000Z' },
+};
+
+describe('getListingFingerprint', () => {
+    it('keeps only the fields that decide a refetch', () => {
+        assert.deepEqual(fingerprint, {
+            price: 99.99,
+            inStock: true,
+            variantCount: 6,
+            image: 'https://example.com/a.jpg',
+        });
+    });
+});
+
+describe('getDetailCacheKey', () => {
+    it('turns a product URL into a valid store key', () => {
+        const key = getDetailCacheKey('https://www.brownsshoes.com/en/product/test-boot-1/M101.html');
+        assert.match(key, /^detail-[0-9a-f]{40}$/);
+        assert.equal(key, getDetailCacheKey('https://www.brownsshoes.com/en/product/test-boot-1/M101.html'));
+        assert.notEqual(key, getDetailCacheKey('https://www.brownsshoes.com/fr/product/test-boot-1/M101.html'));
+    });
+});
+
+describe('hasCachedDetail', () => {
+    it('reuses a recent entry with the same listing data', () => {
+        assert.equal(hasCachedDetail(index, 'fresh', fingerprint, now, 24 * HOUR), true);
+    });
+
+    it('refetches when the price, stock, variant count or image changed', () => {
+        for (const change of [{ price: 89.99 }, { inStock: false }, { variantCount: 4 }, { image: null }]) {
+            const changed = getListingFingerprint({ ...listing, ...change });
+            assert.equal(hasCachedDetail(index, 'fresh', changed, now, 24 * HOUR), false);
+        }
+    });
+
+    it('refetches entries older than the TTL and unknown products', () => {
+        assert.equal(hasCachedDetail(index, 'fresh', fingerprint, now, 6 * HOUR), false);
+        assert.equal(hasCachedDetail(index, 'missing', fingerprint, now, 24 * HOUR), false);
+    });
+});
+
+describe('getExpiredUrls', () => {
+    it('lists entries older than the TTL', () => {
+        assert.deepEqual(getExpiredUrls(index, now, 24 * HOUR), ['old']);
+    });
+});
@@ -0,0 +1,105 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { describe, it } from 'node:test';
+
+import { load } from 'cheerio';
+
+import { extractCategoriesFromNavigation, flattenCategoryTree } from '../src/categories.js';
+import { extractCategoriesFromState, extractPreloadedState } from '../src/extractors.js';
+
+const fixture = (name) => readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+
+describe('extractCategoriesFromNavigation', () => {
+    it('nests the category links of the site navigation', () => {
+        const root = extractCategoriesFromNavigation(load(fixture('home.html')));
+        assert.deepEqual(root, {
+            id: 'root',
+            categories: [
+                {
+                    id: 'women',
+                    name: 'Women',
+                    c_url: 'https://www.brownsshoes.com/en/women',
+                    categories: [
+                        {
+                            id: 'boots',
+                            name: 'Boots',
+                            c_url: 'https://www.brownsshoes.com/en/women/boots',
+                            categories: [
+                                {
+                                    id: 'ankle-boots',
+                                    name: 'Ankle Boots',
+                                    c_url: 'https://www.brownsshoes.com/en/women/boots/ankle-boots',
+                                    categories: [],
+                                },
+                            ],
+                        },
+                    ],
+                },
+                {
+                    id: 'men',
+                    name: 'Men',
+                    c_url: 'https://www.brownsshoes.com/en/search?cgid=men',
+                    categories: [],
+                },
+            ],
+        });
+    });
+
+    it('returns null without a navigation', () => {
+        assert.equal(extractCategoriesFromNavigation(load(fixture('grid.html'))), null);
+    });
+});
+
+describe('flattenCategoryTree', () => {
+    it('lists the categories of the preloaded state with their breadcrumb paths', () => {
+        const root = extractCategoriesFromState(extractPreloadedState(fixture('home.html')));
+        const searchUrl = 'https://www.brownsshoes.com/on/demandware.store/Sites-Browns-Site/en/Search-Show';
+        assert.deepEqual(flattenCategoryTree(root, { locale: 'en', siteId: 'Browns' }), [
+            {
+                id: 'women',
+                name: 'Women',
+                url: 'https://www.brownsshoes.com/en/women',
+                parentId: null,
+                path: ['Women'],
+                depth: 1,
+                isLeaf: false,
+                productCount: 120,
+            },
+            {
+                id: 'women-boots',
+                name: 'Boots',
+                url: `${searchUrl}?cgid=women-boots`,
+                parentId: 'women',
+                path: ['Women', 'Boots'],
+                depth: 2,
+                isLeaf: true,
+                productCount: null,
+            },
+            {
+                id: 'women-sandals',
+                name: 'Sandals',
+                url: `${searchUrl}?cgid=women-sandals`,
+                parentId: 'women',
+                path: ['Women', 'Sandals'],
+                depth: 2,
+                isLeaf: true,
+                productCount: 8,
+            },
+        ]);
+    });
+
+    it('marks the deepest navigation links as leaves', () => {
+        const rows = flattenCategoryTree(extractCategoriesFromNavigation(load(fixture('home.html'))), {
+            locale: 'en',
+        });
+        assert.deepEqual(
+            rows.map(({ id, path, isLeaf }) => ({ id, path, isLeaf })),
+            [
+                { id: 'women', path: ['Women'], isLeaf: false },
+                { id: 'boots', path: ['Women', 'Boots'], isLeaf: false },
+                { id: 'ankle-boots', path: ['Women', 'Boots', 'Ankle Boots'], isLeaf: true },
+                { id: 'men', path: ['Men'], isLeaf: true },
+            ],
+        );
+    });
+});
@@ -0,0 +1,92 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { getColorFamilies, getColorFamily, mapColorOptions, matchesAnyColor } from '../src/colors.js';
+
+describe('getColorFamily', () => {
+    it('reads the family from names and abbreviations', () => {
+        assert.equal(getColorFamily('Black Leather'), 'black');
+        assert.equal(getColorFamily('Chestnut'), 'brown');
+        assert.equal(getColorFamily('Off-White'), 'white');
+        assert.equal(getColorFamily('Bleu marine'), 'blue');
+    });
+
+    it('treats colors of several families as multi', () => {
+        assert.deepEqual(getColorFamilies('BLK/WHT'), ['black', 'white']);
+        assert.equal(getColorFamily('BLK/WHT'), 'multi');
+    });
+
+    it('returns null for unknown names and codes', () => {
+        assert.equal(getColorFamily('001'), null);
+        assert.equal(getColorFamily('Sparkle'), null);
+    });
+});
+
+describe('mapColorOptions', () => {
+    const product = {
+        variationAttributes: [
+            {
+                id: 'color',
+                values: [
+                    { name: { en: 'Black', fr: 'Noir' }, value: '001', orderable: true },
+                    { name: 'Tan', value: '250', orderable: false },
+                ],
+            },
+        ],
+        imageGroups: [
+            {
+                viewType: 'large',
+                images: [{ link: '/dw/image/black-1.jpg' }, { link: '/dw/image/black-2.jpg' }],
+                variationAttributes: [{ id: 'color', values: [{ value: '001' }] }],
+            },
+            {
+                viewType: 'small',
+                images: [{ link: '/dw/image/black-1-small.jpg' }],
+                variationAttributes: [{ id: 'color', values: [{ value: '001' }] }],
+            },
+            {
+                viewType: 'swatch',
+                images: [{ link: '/dw/image/black-swatch.jpg' }],
+                variationAttributes: [{ id: 'color', values: [{ value: '001' }] }],
+            },
+        ],
+    };
+
+    it('keeps the code, name, family, swatch and large images of each color', () => {
+        assert.deepEqual(mapColorOptions(product, 'fr')[0], {
+            code: '001',
+            name: 'Noir',
+            family: 'black',
+            swatch: 'https://www.brownsshoes.com/dw/image/black-swatch.jpg',
+            images: [
+                'https://www.brownsshoes.com/dw/image/black-1.jpg',
+                'https://www.brownsshoes.com/dw/image/black-2.jpg',
+            ],
+            orderable: true,
+        });
+    });
+
+    it('leaves colors without image groups empty', () => {
+        assert.deepEqual(mapColorOptions(product)[1], {
+            code: '250',
+            name: 'Tan',
+            family: 'beige',
+            swatch: null,
+            images: [],
+            orderable: false,
+        });
+    });
+});
+
+describe('matchesAnyColor', () => {
+    it('matches by family', () => {
+        assert.equal(matchesAnyColor(['Black Leather', '001'], ['black']), true);
+        assert.equal(matchesAnyColor(['BLK/WHT'], ['Black']), true);
+        assert.equal(matchesAnyColor(['BLK/WHT'], ['multi']), true);
+        assert.equal(matchesAnyColor(['Black'], ['brown']), false);
+    });
+
+    it('falls back to the names for unknown colors', () => {
+        assert.equal(matchesAnyColor(['Sparkle Blue'], ['sparkle']), true);
+    });
+});
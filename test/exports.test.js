@@ -0,0 +1,160 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import ExcelJS from 'exceljs';
+
+import { buildExports, buildRelationalTables, toCsv, toMerchantFeed, toNdjson, toXlsx } from '../src/exports.js';
+
+const product = {
+    title: 'Test Boot, "Classic"',
+    brand: 'UGG',
+    price: 119.99,
+    originalPrice: 149.99,
+    currency: 'CAD',
+    url: 'https://www.brownsshoes.com/en/product/test-boot-1/M101.html',
+    image: 'https://www.brownsshoes.com/dw/image/M101-black.jpg',
+    images: [
+        'https://www.brownsshoes.com/dw/image/M101-black.jpg',
+        'https://www.brownsshoes.com/dw/image/M101-side.jpg',
+    ],
+    colors: ['Black', 'Chestnut'],
+    sizes: ['7', '8'],
+    inStock: true,
+    productId: 'M101',
+    categories: ['women-boots'],
+    categoryPath: ['Women', 'Boots'],
+};
+
+const variants = [
+    {
+        productId: 'M101',
+        title: 'Test Boot',
+        variantId: 'M101-001-070',
+        colorName: 'Black',
+        size: '7',
+        orderable: false,
+        price: 149.99,
+        image: 'https://www.brownsshoes.com/dw/image/M101-black.jpg',
+    },
+    {
+        productId: 'M101',
+        title: 'Test Boot',
+        variantId: 'M101-200-070',
+        colorName: 'Chestnut',
+        size: '7',
+        orderable: true,
+        price: 139.99,
+        image: 'https://www.brownsshoes.com/dw/image/M101-chestnut.jpg',
+    },
+];
+
+// Entry names and contents of a ZIP archive, read from its central directory.
+describe('toCsv', () => {
+    it('quotes values with commas or quotes and joins plain arrays', () => {
+        const [header, row] = toCsv([product]).split('\r\n');
+        assert.ok(header.startsWith('title,brand,price'));
+        assert.ok(row.startsWith('"Test Boot, ""Classic""",UGG,119.99'));
+        assert.ok(row.includes(',Black | Chestnut,'));
+    });
+
+    it('uses the columns of every row', () => {
+        assert.equal(toCsv([{ a: 1 }, { b: 2 }]), 'a,b\r\n1,\r\n,2');
+    });
+});
+
+describe('toNdjson', () => {
+    it('writes one JSON document per line', () => {
+        assert.equal(toNdjson([{ a: 1 }, { b: 'x' }]), '{"a":1}\n{"b":"x"}');
+    });
+});
+
+describe('toXlsx', () => {
+    it('writes one worksheet per table with typed cells', async () => {
+        const workbook = new ExcelJS.Workbook();
+        await workbook.xlsx.load(await toXlsx({ items: [product], variants: [{ ...variants[0], title: 'a\u0001b' }] }));
+        assert.deepEqual(
+            workbook.worksheets.map((sheet) => sheet.name),
+            ['items', 'variants'],
+        );
+        const items = workbook.getWorksheet('items');
+        assert.equal(items.getCell('A1').value, 'title');
+        assert.equal(items.getCell('A2').value, 'Test Boot, "Classic"');
+        assert.equal(items.getCell('C2').value, 119.99);
+        const sheet = workbook.getWorksheet('variants');
+        assert.equal(sheet.getCell('B2').value, 'ab');
+        assert.equal(sheet.getCell('F2').value, false);
+    });
+});
+
+describe('toMerchantFeed', () => {
+    it('lists the sale price next to the regular price', () => {
+        const feed = toMerchantFeed([product]);
+        assert.ok(feed.includes('<g:id>M101</g:id>'));
+        assert.ok(feed.includes('<g:price>149.99 CAD</g:price><g:sale_price>119.99 CAD</g:sale_price>'));
+        assert.ok(feed.includes('<g:additional_image_link>https://www.brownsshoes.com/dw/image/M101-side.jpg'));
+        assert.ok(feed.includes('<g:title>Test Boot, &quot;Classic&quot;</g:title>'));
+    });
+
+    it('groups variant records under their product', () => {
+        const feed = toMerchantFeed(variants);
+        assert.ok(feed.includes('<g:id>M101-001-070</g:id><g:item_group_id>M101</g:item_group_id>'));
+        assert.ok(feed.includes('<g:availability>out_of_stock</g:availability>'));
+        assert.ok(feed.includes('<g:size>7</g:size>'));
+    });
+
+    it('leaves out records without a title or price', () => {
+        const status = { productId: 'M999', title: null, url: product.url, watchStatus: 'notFound' };
+        const feed = toMerchantFeed([status, { ...product, price: null }, product]);
+        assert.equal(feed.match(/<item>/g).length, 1);
+        assert.equal(feed.includes('M999'), false);
+    });
+});
+
+describe('buildRelationalTables', () => {
+    it('splits products into linked tables', () => {
+        const tables = buildRelationalTables([product]);
+        assert.equal(tables.products.length, 1);
+        assert.equal(tables.products[0].categoryPath, 'Women > Boots');
+        assert.equal('images' in tables.products[0], false);
+        assert.deepEqual(
+            tables.images.map((row) => [row.productId, row.position]),
+            [
+                ['M101', 1],
+                ['M101', 2],
+            ],
+        );
+        assert.deepEqual(tables.categories, [
+            { productId: 'M101', category: 'women-boots', type: 'primary' },
+            { productId: 'M101', category: 'Women > Boots', type: 'path' },
+        ]);
+        assert.deepEqual(tables.variants, []);
+    });
+
+    it('folds variant records into one product row', () => {
+        const tables = buildRelationalTables(variants);
+        assert.deepEqual(tables.products, [{ productId: 'M101', title: 'Test Boot', price: 139.99, inStock: true }]);
+        assert.deepEqual(
+            tables.variants.map((row) => row.variantId),
+            ['M101-001-070', 'M101-200-070'],
+        );
+        assert.equal(tables.images.length, 2);
+    });
+});
+
+describe('buildExports', () => {
+    it('returns a key-value store record per format and table', async () => {
+        const records = await buildExports([product], ['csv', 'merchantXml', 'relational']);
+        assert.deepEqual(
+            records.map((record) => record.key),
+            [
+                'EXPORT_CSV',
+                'EXPORT_MERCHANT_FEED',
+                'EXPORT_PRODUCTS',
+                'EXPORT_VARIANTS',
+                'EXPORT_IMAGES',
+                'EXPORT_CATEGORIES',
+            ],
+        );
+        assert.equal(records[0].contentType, 'text/csv; charset=utf-8');
+    });
+});
@@ -0,0 +1,176 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { describe, it } from 'node:test';
+
+import { load } from 'cheerio';
+
+import {
+    extractBootstrapConfig,
+    extractCategoriesFromState,
+    extractJsonLdProducts,
+    extractJsonObject,
+    extractPreloadedState,
+    extractProductDetailFromState,
+    extractProductSearchFromState,
+    extractProductsFromHtml,
+} from '../src/extractors.js';
+
+const fixture = (name) => readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+
+describe('extractJsonObject', () => {
+    it('returns the balanced object starting at the given index', () => {
+        const text = 'var x = {"a":{"b":1},"c":"}"}; var y = 2;';
+        assert.equal(extractJsonObject(text, text.indexOf('{')), '{"a":{"b":1},"c":"}"}');
+    });
+
+    it('ignores braces inside escaped strings', () => {
+        const text = '{"a":"quote \\" and { brace"}';
+        assert.equal(extractJsonObject(text, 0), text);
+    });
+
+    it('returns null for an unterminated object', () => {
+        assert.equal(extractJsonObject('{"a":{"b":1}', 0), null);
+    });
+});
+
+describe('extractPreloadedState', () => {
+    it('parses the state embedded in the page data script', () => {
+        const { __reactQuery: reactQuery } = extractPreloadedState(fixture('listing.html'));
+        assert.ok(Array.isArray(reactQuery.queries));
+    });
+
+    it('returns null when the page has no state', () => {
+        assert.equal(extractPreloadedState(fixture('grid.html')), null);
+    });
+});
+
+describe('extractProductSearchFromState', () => {
+    it('collects hits and paging metadata from the product-search query', () => {
+        const search = extractProductSearchFromState(extractPreloadedState(fixture('listing.html')));
+        assert.equal(search.hits.length, 2);
+        assert.equal(search.total, 5);
+        assert.equal(search.limit, 2);
+        assert.equal(search.offset, 0);
+        assert.deepEqual(search.params.refine, ['cgid=women']);
+    });
+
+    it('returns null for a detail page state', () => {
+        assert.equal(extractProductSearchFromState(extractPreloadedState(fixture('detail.html'))), null);
+    });
+});
+
+describe('extractProductDetailFromState', () => {
+    it('returns the product from the products query', () => {
+        const product = extractProductDetailFromState(extractPreloadedState(fixture('detail.html')));
+        assert.equal(product.id, 'M101');
+        assert.equal(product.variants.length, 3);
+    });
+
+    it('returns null for a listing page state', () => {
+        assert.equal(extractProductDetailFromState(extractPreloadedState(fixture('listing.html'))), null);
+    });
+});
+
+describe('extractCategoriesFromState', () => {
+    it('returns the tree from the categories query', () => {
+        const root = extractCategoriesFromState(extractPreloadedState(fixture('home.html')));
+        assert.equal(root.id, 'root');
+        assert.deepEqual(
+            root.categories.map((category) => category.id),
+            ['women', 'gift-cards'],
+        );
+    });
+
+    it('returns null for a listing page state', () => {
+        assert.equal(extractCategoriesFromState(extractPreloadedState(fixture('listing.html'))), null);
+        assert.equal(extractCategoriesFromState(null), null);
+    });
+});
+
+describe('extractBootstrapConfig', () => {
+    it('reads the Commerce API parameters from the page config', () => {
+        const config = extractBootstrapConfig(fixture('listing.html'));
+        assert.equal(config.shortCode, 'testcode');
+        assert.equal(config.clientId, 'test-client');
+        assert.equal(config.organizationId, 'f_ecom_test');
+        assert.equal(config.siteId, 'Browns');
+        assert.equal(config.productSearch.hits.length, 2);
+    });
+});
+
+describe('extractJsonLdProducts', () => {
+    it('maps Product nodes to items', () => {
+        const [product] = extractJsonLdProducts(load(fixture('detail-jsonld.html')));
+        assert.equal(product.title, 'Test Boot 1');
+        assert.equal(product.brand, 'UGG');
+        assert.equal(product.price, 149.99);
+        assert.equal(product.productId, 'M101');
+        assert.equal(product.inStock, true);
+        assert.equal(product.url, 'https://www.brownsshoes.com/en/product/test-boot-1/M101.html');
+    });
+
+    it('reads the aggregate rating', () => {
+        const [product] = extractJsonLdProducts(load(fixture('detail-jsonld.html')));
+        assert.equal(product.rating, 4.5);
+        assert.equal(product.reviewCount, 2);
+    });
+});
+
+describe('extractJsonLdProducts price range', () => {
+    it('spans the offers of every variant', () => {
+        const offers = { '@type': 'AggregateOffer', lowPrice: 89.99, highPrice: 109.99, priceCurrency: 'CAD' };
+        const jsonLd = { '@type': 'Product', name: 'Test', offers };
+        const html = `<script type="application/ld+json">${JSON.stringify(jsonLd)}</script>`;
+        const [product] = extractJsonLdProducts(load(html));
+        assert.equal(product.price, 89.99);
+        assert.deepEqual(product.priceRange, { min: 89.99, max: 109.99 });
+    });
+});
+
+describe('extractProductsFromHtml', () => {
+    const products = extractProductsFromHtml(load(fixture('grid.html')));
+
+    it('finds every tile once', () => {
+        assert.deepEqual(
+            products.map((product) => product.productId),
+            ['M106', 'M107', null],
+        );
+    });
+
+    it('prefers data-segment data and strips tracking params from URLs', () => {
+        assert.equal(products[0].url, 'https://www.brownsshoes.com/en/product/test-loafer-6/M106.html');
+        assert.equal(products[0].price, 119.99);
+        assert.equal(products[0].originalPrice, 149.99);
+        assert.deepEqual(products[0].sizes, ['8']);
+    });
+
+    it('falls back to GTM impressions and srcset images', () => {
+        assert.equal(products[1].brand, 'Birkenstock');
+        assert.equal(products[1].price, 99.99);
+        assert.deepEqual(products[1].colors, ['Taupe']);
+        assert.equal(products[1].image, 'https://www.brownsshoes.com/dw/image/M107.jpg');
+    });
+
+    it('falls back to bare product anchors', () => {
+        assert.equal(products[2].title, 'Test Sneaker 8');
+        assert.equal(products[2].price, 89.99);
+    });
+
+    it('reads promotion callouts and badges of each tile', () => {
+        assert.deepEqual(products[0].promotions, [{ id: null, callout: 'Extra 30% off', promotionalPrice: null }]);
+        assert.deepEqual(
+            products[1].promotions.map((promotion) => promotion.callout),
+            ['Clearance'],
+        );
+    });
+
+    it('reads the struck-through list price of tiles without one in their data', () => {
+        assert.equal(products[1].originalPrice, 129.99);
+    });
+
+    it('counts the products each selector strategy found', () => {
+        const stats = {};
+        extractProductsFromHtml(load(fixture('grid.html')), stats);
+        assert.deepEqual(stats, { dataSegment: 1, gtmTile: 1, anchor: 1 });
+    });
+});
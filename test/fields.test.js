@@ -0,0 +1,41 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { getFieldValue, selectFields } from '../src/fields.js';
+
+const record = { title: 'Test Boot 1', price: 149.99, raw: { c_brand: 'UGG', image: { link: 'M101.jpg' } } };
+
+describe('getFieldValue', () => {
+    it('follows dotted paths', () => {
+        assert.equal(getFieldValue(record, 'raw.image.link'), 'M101.jpg');
+        assert.equal(getFieldValue(record, 'raw.missing.link'), undefined);
+    });
+});
+
+describe('selectFields', () => {
+    it('keeps only the listed fields, in order', () => {
+        assert.deepEqual(Object.entries(selectFields(record, { fields: ['price', 'raw.c_brand', 'sizes'] })), [
+            ['price', 149.99],
+            ['raw.c_brand', 'UGG'],
+            ['sizes', null],
+        ]);
+    });
+
+    it('renames fields', () => {
+        assert.deepEqual(
+            selectFields(record, {
+                fields: ['title', 'raw.c_brand'],
+                mapping: { title: 'name', 'raw.c_brand': 'brand' },
+            }),
+            { name: 'Test Boot 1', brand: 'UGG' },
+        );
+    });
+
+    it('renames every field when no fields are listed', () => {
+        assert.deepEqual(Object.keys(selectFields(record, { mapping: { price: 'salePrice' } })), [
+            'title',
+            'salePrice',
+            'raw',
+        ]);
+    });
+});
@@ -0,0 +1,73 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { createHealthReport, evaluateHealth } from '../src/health.js';
+
+describe('createHealthReport', () => {
+    it('sums strategy counts and empty pages per page type', () => {
+        const health = createHealthReport();
+        health.recordPage('LIST', { preloadedState: 2, api: 3 });
+        health.recordPage('LIST', { api: 4 });
+        health.recordPage('GRID', {});
+        const { pages } = health.toJSON();
+        assert.deepEqual(pages.LIST, { pages: 2, emptyPages: 0, strategies: { preloadedState: 2, api: 7 } });
+        assert.deepEqual(pages.GRID, { pages: 1, emptyPages: 1, strategies: {} });
+    });
+
+    it('computes field fill rates over recorded items', () => {
+        const health = createHealthReport();
+        health.recordItem({ price: 10, brand: 'UGG', image: 'a.jpg', sizes: ['8'], description: 'x' });
+        health.recordItem({ price: null, brand: '', image: 'b.jpg', sizes: [], description: null });
+        const report = health.toJSON();
+        assert.equal(report.items, 2);
+        assert.deepEqual(report.fillRates, { price: 0.5, brand: 0.5, image: 1, sizes: 0.5, description: 0.5 });
+    });
+
+    it('carries on counting from the report of an earlier run', () => {
+        const previous = createHealthReport();
+        previous.recordPage('LIST', { api: 2 });
+        previous.recordItem({ price: 10, brand: 'UGG' });
+        const health = createHealthReport(JSON.parse(JSON.stringify(previous.toJSON())));
+        health.recordPage('LIST', { api: 1 });
+        health.recordItem({ price: null, brand: 'UGG' });
+        const report = health.toJSON();
+        assert.equal(report.items, 2);
+        assert.deepEqual(report.pages.LIST, { pages: 2, emptyPages: 0, strategies: { api: 3 } });
+        assert.equal(report.fillRates.price, 0.5);
+        assert.equal(report.fillRates.brand, 1);
+        assert.equal(previous.toJSON().pages.LIST.pages, 1);
+    });
+});
+
+describe('evaluateHealth', () => {
+    const build = (items, gridPages) => {
+        const health = createHealthReport();
+        for (const item of items) health.recordItem(item);
+        for (const counts of gridPages) health.recordPage('GRID', counts);
+        return health.toJSON();
+    };
+
+    it('flags fields missing on more items than allowed', () => {
+        const report = build([{ price: 10 }, { price: null }, { price: null }], []);
+        const issues = evaluateHealth(report, { price: 0.3 });
+        assert.equal(issues.length, 1);
+        assert.equal(issues[0].check, 'price');
+        assert.equal(issues[0].value, 0.667);
+    });
+
+    it('flags grid pages where no selector matched', () => {
+        const report = build([{ price: 10 }], [{ anchor: 1 }, {}, {}]);
+        const [issue] = evaluateHealth(report, { emptyPages: 0.5 });
+        assert.equal(issue.check, 'emptyPages');
+        assert.equal(issue.pageType, 'GRID');
+    });
+
+    it('passes a healthy run and ignores fields without a threshold', () => {
+        const report = build([{ price: 10, image: 'a.jpg' }], [{ dataSegment: 2 }]);
+        assert.deepEqual(evaluateHealth(report, { price: 0.3, image: 0.5, emptyPages: 0.5 }), []);
+    });
+
+    it('flags a run without items', () => {
+        assert.equal(evaluateHealth(build([], []), {})[0].check, 'items');
+    });
+});
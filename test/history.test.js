@@ -0,0 +1,121 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import {
+    computePriceHistory,
+    diffListingSnapshot,
+    getPreviousEntry,
+    getPriceHistoryKey,
+    hasPriceOrStockChanged,
+} from '../src/history.js';
+
+describe('computePriceHistory', () => {
+    it('reports the change against the previous run', () => {
+        const entry = { price: 200, firstSeenAt: '2026-01-01', lastSeenAt: '2026-01-02' };
+        assert.deepEqual(computePriceHistory(entry, { price: 150 }, '2026-01-03'), {
+            previousPrice: 200,
+            priceChange: -50,
+            priceChangePercent: -25,
+            firstSeenAt: '2026-01-01',
+            lastSeenAt: '2026-01-02',
+        });
+    });
+
+    it('treats unknown products as first seen now', () => {
+        const fields = computePriceHistory(undefined, { price: 150 }, '2026-01-03');
+        assert.equal(fields.previousPrice, null);
+        assert.equal(fields.priceChange, null);
+        assert.equal(fields.firstSeenAt, '2026-01-03');
+        assert.equal(fields.lastSeenAt, null);
+    });
+});
+
+describe('getPreviousEntry', () => {
+    const entry = {
+        productId: 'M101',
+        price: 119.99,
+        originalPrice: 149.99,
+        inStock: true,
+        firstSeenAt: '2026-01-01',
+        lastSeenAt: '2026-01-03',
+        history: [
+            { at: '2026-01-01', price: 149.99, originalPrice: null, inStock: false },
+            { at: '2026-01-03', price: 119.99, originalPrice: 149.99, inStock: true },
+        ],
+    };
+
+    it('returns the entry an earlier run wrote as it is', () => {
+        assert.equal(getPreviousEntry(entry, '2026-01-04'), entry);
+        assert.equal(getPreviousEntry(null, '2026-01-04'), null);
+    });
+
+    it('takes back what this run already recorded', () => {
+        assert.deepEqual(getPreviousEntry(entry, '2026-01-03'), {
+            productId: 'M101',
+            price: 149.99,
+            originalPrice: null,
+            inStock: false,
+            firstSeenAt: '2026-01-01',
+            lastSeenAt: '2026-01-01',
+            history: [{ at: '2026-01-01', price: 149.99, originalPrice: null, inStock: false }],
+        });
+        assert.equal(getPreviousEntry({ ...entry, history: entry.history.slice(1) }, '2026-01-03'), null);
+    });
+});
+
+describe('getPriceHistoryKey', () => {
+    it('gives each product URL a record of its own', () => {
+        const key = getPriceHistoryKey('https://www.brownsshoes.com/en/product/test-boot-1/M101.html');
+        assert.match(key, /^history-[0-9a-f]{40}$/);
+        assert.notEqual(key, getPriceHistoryKey('https://www.brownsshoes.com/en/product/test-boot-2/M102.html'));
+    });
+});
+
+describe('hasPriceOrStockChanged', () => {
+    it('detects price and stock changes and new products', () => {
+        const entry = { price: 100, inStock: true };
+        assert.equal(hasPriceOrStockChanged(entry, { price: 100, inStock: true }), false);
+        assert.equal(hasPriceOrStockChanged(entry, { price: 90, inStock: true }), true);
+        assert.equal(hasPriceOrStockChanged(entry, { price: 100, inStock: false }), true);
+        assert.equal(hasPriceOrStockChanged(undefined, { price: 100, inStock: true }), true);
+    });
+});
+
+describe('diffListingSnapshot', () => {
+    const previous = {
+        products: {
+            a: { productId: 'A', firstSeenAt: 't0', lastSeenAt: 't1', removedAt: null },
+            b: { productId: 'B', firstSeenAt: 't0', lastSeenAt: 't1', removedAt: null },
+            c: { productId: 'C', firstSeenAt: 't0', lastSeenAt: 't0', removedAt: 't1' },
+        },
+    };
+    const seen = new Map([
+        ['a', { productId: 'A', title: 'A' }],
+        ['c', { productId: 'C', title: 'C' }],
+        ['d', { productId: 'D', title: 'D' }],
+    ]);
+
+    it('lists added, removed and reappeared products', () => {
+        const diff = diffListingSnapshot(previous, seen, 't2', { complete: true });
+        assert.deepEqual(
+            diff.added.map((entry) => entry.url),
+            ['d'],
+        );
+        assert.deepEqual(
+            diff.removed.map((entry) => entry.url),
+            ['b'],
+        );
+        assert.deepEqual(
+            diff.reappeared.map((entry) => entry.url),
+            ['c'],
+        );
+        assert.equal(diff.snapshot.products.b.removedAt, 't2');
+        assert.equal(diff.snapshot.products.c.removedAt, null);
+    });
+
+    it('does not report removals for incomplete crawls', () => {
+        const diff = diffListingSnapshot(previous, seen, 't2', { complete: false });
+        assert.deepEqual(diff.removed, []);
+        assert.equal(diff.snapshot.products.b.removedAt, null);
+    });
+});
@@ -0,0 +1,58 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { getProductKey, mergeLocalizedItem, mergeLocalizedVariants } from '../src/locales.js';
+
+describe('getProductKey', () => {
+    it('prefers the product ID', () => {
+        assert.equal(
+            getProductKey({ productId: 'M101', url: 'https://www.brownsshoes.com/en/product/x/M101.html' }),
+            'M101',
+        );
+    });
+
+    it('falls back to the untranslated end of the URL', () => {
+        assert.equal(getProductKey({ url: 'https://www.brownsshoes.com/fr/product/botte/M101.html' }), 'M101');
+    });
+});
+
+describe('mergeLocalizedItem', () => {
+    it('keys the texts of every language version by locale', () => {
+        const item = { locale: 'en', title: 'Boot', description: 'Warm', features: ['Waterproof'], colors: ['Black'] };
+        const merged = mergeLocalizedItem(item, { fr: { title: 'Botte', description: 'Chaude', colorName: 'Noir' } });
+        assert.equal(merged.title, 'Boot');
+        assert.deepEqual(merged.localized.en, {
+            title: 'Boot',
+            description: 'Warm',
+            features: ['Waterproof'],
+            colors: ['Black'],
+            colorName: null,
+        });
+        assert.equal(merged.localized.fr.title, 'Botte');
+        assert.deepEqual(merged.localized.fr.features, []);
+    });
+});
+
+describe('mergeLocalizedVariants', () => {
+    it('matches variants by ID, then by color code', () => {
+        const variants = [
+            { variantId: 'M101-001-070', colorCode: '001', colorName: 'Black' },
+            { variantId: 'M101-200-080', colorCode: '200', colorName: 'Chestnut' },
+        ];
+        const translated = {
+            fr: {
+                variants: [
+                    { variantId: 'M101-001-070', colorCode: '001', colorName: 'Noir' },
+                    { colorCode: '200', colorName: 'Châtaigne' },
+                ],
+            },
+        };
+        assert.deepEqual(
+            mergeLocalizedVariants(variants, 'en', translated).map((variant) => variant.colorNames),
+            [
+                { en: 'Black', fr: 'Noir' },
+                { en: 'Chestnut', fr: 'Châtaigne' },
+            ],
+        );
+    });
+});
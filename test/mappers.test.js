@@ -0,0 +1,173 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { describe, it } from 'node:test';
+
+import { extractPreloadedState, extractProductDetailFromState } from '../src/extractors.js';
+import { mapDetailProduct, mapProductVariants, mapSearchHit, mapSizeAvailability } from '../src/mappers.js';
+
+const fixture = (name) => readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+
+const { hits } = JSON.parse(fixture('search-api.json'));
+const detailProduct = extractProductDetailFromState(extractPreloadedState(fixture('detail.html')));
+
+describe('mapSearchHit', () => {
+    it('maps an API hit to a listing item', () => {
+        const item = mapSearchHit(hits[0]);
+        assert.equal(item.title, 'Test Boot 1');
+        assert.equal(item.brand, 'UGG');
+        assert.equal(item.price, 149.99);
+        assert.equal(item.originalPrice, 199.99);
+        assert.equal(item.url, 'https://www.brownsshoes.com/en/product/test-boot-1/M101.html');
+        assert.equal(item.images.length, 2);
+        assert.ok(item.colors.includes('Black'));
+        assert.ok(item.sizes.includes('8'));
+        assert.equal(item.description, 'Description 1');
+        assert.deepEqual(item.gender, ['Women']);
+    });
+
+    it('leaves originalPrice empty when there is no markdown', () => {
+        assert.equal(mapSearchHit(hits[1]).originalPrice, null);
+    });
+
+    it('takes the original price from the list pricebook when prices are per pricebook', () => {
+        const item = mapSearchHit({
+            ...hits[0],
+            priceMax: 159.99,
+            priceRanges: [
+                { pricebook: 'cad-list-prices', minPrice: 179.99, maxPrice: 179.99 },
+                { pricebook: 'cad-sale-prices', minPrice: 149.99, maxPrice: 159.99 },
+            ],
+        });
+        assert.equal(item.originalPrice, 179.99);
+        assert.deepEqual(item.priceRange, { min: 149.99, max: 159.99 });
+        assert.equal(item.pricebookPrices.length, 2);
+    });
+
+    it('maps product promotions', () => {
+        const item = mapSearchHit({
+            ...hits[0],
+            productPromotions: [{ promotionId: 'extra-30', calloutMsg: '<b>Extra 30% off</b>' }],
+        });
+        assert.deepEqual(item.promotions, [{ id: 'extra-30', callout: 'Extra 30% off', promotionalPrice: null }]);
+    });
+
+    it('reads stock from orderable', () => {
+        assert.equal(mapSearchHit(hits[3]).inStock, false);
+    });
+
+    it('ignores non-objects', () => {
+        assert.equal(mapSearchHit(null), null);
+    });
+});
+
+describe('mapDetailProduct', () => {
+    it('maps a detail product to a full item', () => {
+        const item = mapDetailProduct(detailProduct);
+        assert.equal(item.productId, 'M101');
+        assert.equal(item.description, 'A warm test boot.');
+        assert.deepEqual(item.features, ['Waterproof', 'Sheepskin lining']);
+        assert.deepEqual(item.materials, ['Suede']);
+        assert.equal(item.inStock, true);
+        assert.equal(item.variants.length, 3);
+    });
+
+    it('does not take the price of a dearer variant as the original price', () => {
+        const variants = detailProduct.variants.map((variant, index) => ({
+            ...variant,
+            price: index ? 159.99 : 149.99,
+        }));
+        const item = mapDetailProduct({ ...detailProduct, price: 149.99, priceMax: 159.99, variants });
+        assert.equal(item.originalPrice, null);
+        assert.deepEqual(item.priceRange, { min: 149.99, max: 159.99 });
+    });
+});
+
+describe('localized variation names', () => {
+    const product = {
+        id: 'M200',
+        variationAttributes: [{ id: 'color', values: [{ name: { en: 'Black', fr: 'Noir' }, value: '001' }] }],
+        variants: [{ productId: 'M200-001', variationValues: { color: '001' } }],
+    };
+
+    it('reads the requested language', () => {
+        const item = mapDetailProduct(product, 'fr');
+        assert.ok(item.colors.includes('Noir'));
+        assert.ok(!item.colors.includes('Black'));
+        assert.equal(item.variants[0].colorName, 'Noir');
+    });
+
+    it('defaults to English', () => {
+        assert.ok(mapDetailProduct(product).colors.includes('Black'));
+    });
+});
+
+describe('colorOptions', () => {
+    it('groups detail images per color', () => {
+        const { colorOptions } = mapDetailProduct(detailProduct);
+        assert.deepEqual(
+            colorOptions.map(({ code, name, family, images }) => ({ code, name, family, images })),
+            [
+                {
+                    code: '001',
+                    name: 'Black',
+                    family: 'black',
+                    images: ['https://www.brownsshoes.com/dw/image/M101-black.jpg'],
+                },
+                {
+                    code: '200',
+                    name: 'Chestnut',
+                    family: 'brown',
+                    images: ['https://www.brownsshoes.com/dw/image/M101-chestnut.jpg'],
+                },
+            ],
+        );
+    });
+
+    it('names the color of single-color products', () => {
+        const item = mapSearchHit({ ...hits[0], representedProduct: {} });
+        assert.equal(item.colorName, 'Black');
+        assert.deepEqual(item.colorOptions[0].images, []);
+    });
+});
+
+describe('mapProductVariants', () => {
+    const variants = mapProductVariants(detailProduct);
+
+    it('resolves variation codes to display names', () => {
+        assert.deepEqual(variants[0], {
+            variantId: 'M101-001-070',
+            colorCode: '001',
+            colorName: 'Black',
+            colorFamily: 'black',
+            size: '7',
+            width: 'Medium',
+            orderable: true,
+            quantity: 3,
+            price: 149.99,
+            image: 'https://www.brownsshoes.com/dw/image/M101-black.jpg',
+        });
+    });
+
+    it('picks the image group of the variant color', () => {
+        assert.equal(variants[2].image, 'https://www.brownsshoes.com/dw/image/M101-chestnut.jpg');
+        assert.equal(variants[2].price, 139.99);
+        assert.equal(variants[2].quantity, null);
+    });
+
+    it('returns nothing for products without variants', () => {
+        assert.deepEqual(mapProductVariants(hits[0]), []);
+    });
+});
+
+describe('mapSizeAvailability', () => {
+    it('merges the variants of each size across colors', () => {
+        assert.deepEqual(mapSizeAvailability(mapProductVariants(detailProduct)), [
+            { size: '7', inStock: true, quantity: 3 },
+            { size: '8', inStock: false, quantity: 0 },
+        ]);
+    });
+
+    it('returns nothing without variants', () => {
+        assert.deepEqual(mapSizeAvailability([]), []);
+    });
+});
@@ -0,0 +1,124 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import {
+    getDiscountPercent,
+    getListPrice,
+    getPriceRange,
+    isClearanceItem,
+    mapPricebookPrices,
+    mapPromotionBadges,
+    mapPromotions,
+} from '../src/promotions.js';
+
+describe('mapPromotions', () => {
+    it('keeps the ID, plain-text callout and promotional price of each promotion', () => {
+        const promotions = mapPromotions([
+            {
+                promotionId: 'extra-30',
+                calloutMsg: '<span class="callout">Extra  30% off</span>',
+                promotionalPrice: '83.99',
+            },
+            { promotionId: 'bogo' },
+            null,
+            {},
+        ]);
+        assert.deepEqual(promotions, [
+            { id: 'extra-30', callout: 'Extra 30% off', promotionalPrice: 83.99 },
+            { id: 'bogo', callout: null, promotionalPrice: null },
+        ]);
+    });
+
+    it('returns an empty list without promotions', () => {
+        assert.deepEqual(mapPromotions(undefined), []);
+    });
+});
+
+describe('mapPromotionBadges', () => {
+    it('drops empty and repeated badges', () => {
+        assert.deepEqual(mapPromotionBadges(['Clearance', ' ', 'Clearance', 'New']), [
+            { id: null, callout: 'Clearance', promotionalPrice: null },
+            { id: null, callout: 'New', promotionalPrice: null },
+        ]);
+    });
+});
+
+describe('mapPricebookPrices', () => {
+    it('reads Shopper Search price ranges', () => {
+        const product = {
+            priceRanges: [
+                { pricebook: 'cad-list-prices', minPrice: 149.99, maxPrice: 159.99 },
+                { pricebook: 'cad-sale-prices', minPrice: 119.99 },
+            ],
+        };
+        assert.deepEqual(mapPricebookPrices(product), [
+            { pricebook: 'cad-list-prices', minPrice: 149.99, maxPrice: 159.99 },
+            { pricebook: 'cad-sale-prices', minPrice: 119.99, maxPrice: 119.99 },
+        ]);
+    });
+
+    it('reads Shopper Products prices', () => {
+        assert.deepEqual(mapPricebookPrices({ prices: { 'cad-list-prices': 149.99 } }), [
+            { pricebook: 'cad-list-prices', minPrice: 149.99, maxPrice: 149.99 },
+        ]);
+        assert.deepEqual(mapPricebookPrices({}), []);
+    });
+});
+
+describe('getListPrice', () => {
+    const pricebookPrices = [
+        { pricebook: 'cad-list-prices', minPrice: 149.99, maxPrice: 159.99 },
+        { pricebook: 'cad-sale-prices', minPrice: 119.99, maxPrice: 119.99 },
+    ];
+
+    it('returns the lowest list price above the selling price', () => {
+        assert.equal(getListPrice(pricebookPrices, 119.99), 149.99);
+    });
+
+    it('returns null when the product is not discounted', () => {
+        assert.equal(getListPrice(pricebookPrices, 159.99), null);
+        assert.equal(getListPrice([], 119.99), null);
+        assert.equal(getListPrice(pricebookPrices, null), null);
+    });
+});
+
+describe('getPriceRange', () => {
+    it('spans the numeric prices given', () => {
+        assert.deepEqual(getPriceRange(119.99, '89.99', null, 149.99), { min: 89.99, max: 149.99 });
+        assert.equal(getPriceRange(null, undefined), null);
+    });
+});
+
+describe('getDiscountPercent', () => {
+    it('rounds the discount to a whole percent', () => {
+        assert.equal(getDiscountPercent(119.99, 149.99), 20);
+        assert.equal(getDiscountPercent(99.99, 129.99), 23);
+    });
+
+    it('returns null without a higher original price', () => {
+        assert.equal(getDiscountPercent(149.99, 149.99), null);
+        assert.equal(getDiscountPercent(119.99, null), null);
+        assert.equal(getDiscountPercent(null, 149.99), null);
+    });
+});
+
+describe('isClearanceItem', () => {
+    it('trusts the clearance flag', () => {
+        assert.equal(isClearanceItem({ isClearance: true }), true);
+    });
+
+    it('recognises clearance callouts, pricebooks and categories in either language', () => {
+        assert.equal(isClearanceItem({ promotions: [{ callout: 'Clearance' }] }), true);
+        assert.equal(isClearanceItem({ promotions: [{ callout: 'Vente finale' }] }), true);
+        assert.equal(isClearanceItem({ pricebookPrices: [{ pricebook: 'cad-clearance-prices' }] }), true);
+        assert.equal(isClearanceItem({ categories: ['women-liquidation'] }), true);
+    });
+
+    it('does not treat ordinary sales as clearance', () => {
+        assert.equal(
+            isClearanceItem({ promotions: [{ callout: 'Extra 30% off' }], categories: ['women-sale'] }),
+            false,
+        );
+        assert.equal(isClearanceItem({}), false);
+    });
+});
@@ -0,0 +1,126 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { createProxyManager, getBlockedStatusCode, getProxyTierName, isProxyAuthError } from '../src/proxy.js';
+
+const fakeConfiguration = (host) => ({ newUrl: async (sessionId) => `http://${host}:8000/${sessionId || ''}` });
+
+const createManager = () =>
+    createProxyManager([
+        { name: 'RESIDENTIAL', configuration: fakeConfiguration('residential') },
+        { name: 'auto', configuration: fakeConfiguration('datacenter') },
+        { name: 'none', configuration: null },
+    ]);
+
+describe('getProxyTierName', () => {
+    it('names proxy configuration inputs', () => {
+        assert.equal(getProxyTierName({ useApifyProxy: true, apifyProxyGroups: ['RESIDENTIAL'] }), 'RESIDENTIAL');
+        assert.equal(getProxyTierName({ useApifyProxy: true }), 'auto');
+        assert.equal(getProxyTierName({ proxyUrls: ['http://proxy:8000'] }), 'custom');
+        assert.equal(getProxyTierName({ useApifyProxy: false }), 'none');
+        assert.equal(getProxyTierName(undefined), 'none');
+    });
+});
+
+describe('proxy errors', () => {
+    it('recognises proxy authentication failures and blocked statuses', () => {
+        assert.equal(isProxyAuthError('Proxy responded with 407 Proxy Authentication Required'), true);
+        assert.equal(isProxyAuthError('UPSTREAM407'), true);
+        assert.equal(isProxyAuthError('Request blocked - received 403 status code.'), false);
+        assert.equal(getBlockedStatusCode('Request blocked - received 429 status code.'), 429);
+        assert.equal(getBlockedStatusCode('timeout'), null);
+    });
+});
+
+describe('createProxyManager', () => {
+    it('moves only a blocked request to the next tier', async () => {
+        const manager = createManager();
+        const blocked = { url: 'https://example.com/a', userData: {} };
+        const other = { url: 'https://example.com/b', userData: {} };
+        assert.equal(await manager.newUrl('s1', blocked), 'http://residential:8000/s1');
+        assert.equal(manager.recordResponse(blocked, { id: 's1' }, 403), 'auto');
+        assert.equal(await manager.newUrl('s1', blocked), 'http://datacenter:8000/s1');
+        assert.equal(await manager.newUrl('s2', other), 'http://residential:8000/s2');
+        assert.equal(manager.recordError(blocked, { id: 's1' }, 'Request blocked - received 429 status code.'), 'none');
+        assert.equal(await manager.newUrl('s1', blocked), undefined);
+        // Blocks on the last tier leave the request where it is.
+        assert.equal(manager.recordResponse(blocked, { id: 's1' }, 403), null);
+    });
+
+    it('skips a tier whose proxy rejects its credentials for every request', async () => {
+        const manager = createManager();
+        const request = { url: 'https://example.com/a', userData: {} };
+        assert.equal(manager.recordError(request, null, 'Proxy responded with 407'), 'auto');
+        assert.equal(
+            await manager.newUrl('s2', { url: 'https://example.com/b', userData: {} }),
+            'http://datacenter:8000/s2',
+        );
+        assert.equal(await manager.newUrl('s3'), 'http://datacenter:8000/s3');
+        assert.deepEqual(
+            manager.toJSON().tiers.map(({ name, disabled }) => ({ name, disabled })),
+            [
+                { name: 'RESIDENTIAL', disabled: true },
+                { name: 'auto', disabled: false },
+                { name: 'none', disabled: false },
+            ],
+        );
+    });
+
+    it('skips a tier whose configuration fails to give a URL', async () => {
+        const manager = createProxyManager([
+            { name: 'RESIDENTIAL', configuration: { newUrl: async () => Promise.reject(new Error('no access')) } },
+            { name: 'none', configuration: null },
+        ]);
+        assert.equal(await manager.newUrl('s1'), undefined);
+        assert.equal(manager.toJSON().tiers[0].reason, 'proxy configuration error: no access');
+    });
+
+    it('reports success and block rates per tier and session', () => {
+        const manager = createManager();
+        const session = { id: 's1' };
+        manager.recordResponse({ userData: {} }, session, 200);
+        manager.recordResponse({ userData: {} }, session, 200);
+        manager.recordResponse({ userData: {} }, session, 404);
+        manager.recordResponse({ url: 'https://example.com/a', userData: {} }, session, 429);
+        const { tiers, sessions } = manager.toJSON();
+        assert.deepEqual(tiers[0], {
+            name: 'RESIDENTIAL',
+            disabled: false,
+            reason: null,
+            requests: 4,
+            successes: 3,
+            blocks: 1,
+            errors: 0,
+            successRate: 0.75,
+            blockRate: 0.25,
+        });
+        assert.equal(tiers[1].blockRate, null);
+        assert.deepEqual(sessions, [
+            {
+                sessionId: 's1',
+                tier: 'RESIDENTIAL',
+                requests: 4,
+                successes: 3,
+                blocks: 1,
+                errors: 0,
+                successRate: 0.75,
+                blockRate: 0.25,
+            },
+        ]);
+    });
+
+    it('carries on from a previous state', () => {
+        const manager = createManager();
+        manager.recordError({ url: 'https://example.com/a', userData: {} }, { id: 's1' }, 'UPSTREAM407');
+        const restored = createProxyManager(
+            [
+                { name: 'RESIDENTIAL', configuration: fakeConfiguration('residential') },
+                { name: 'none', configuration: null },
+            ],
+            { state: manager.toJSON() },
+        );
+        assert.equal(restored.getTierIndex(), 1);
+        assert.equal(restored.toJSON().tiers[0].errors, 1);
+        assert.equal(restored.toJSON().sessions[0].errors, 1);
+    });
+});
@@ -0,0 +1,99 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { describe, it } from 'node:test';
+
+import { load } from 'cheerio';
+
+import { extractJsonLdProductNodes } from '../src/extractors.js';
+import {
+    buildReviewsUrl,
+    extractReviewConfig,
+    getReviewKey,
+    mapJsonLdReviews,
+    mapReviewsResponse,
+} from '../src/reviews.js';
+
+const fixture = (name) => readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+
+describe('extractReviewConfig', () => {
+    it('reads the passkey of the Bazaarvoice widget', () => {
+        assert.deepEqual(extractReviewConfig(fixture('detail.html')), { passkey: 'testpasskey' });
+    });
+
+    it('returns null for pages without the widget', () => {
+        assert.equal(extractReviewConfig(fixture('detail-jsonld.html')), null);
+    });
+});
+
+describe('buildReviewsUrl', () => {
+    it('filters on the product and pages with offset and limit', () => {
+        const url = new URL(buildReviewsUrl({ passkey: 'key', productId: 'M101', offset: 100, limit: 50 }));
+        assert.equal(url.pathname, '/data/reviews.json');
+        assert.equal(url.searchParams.get('passkey'), 'key');
+        assert.equal(url.searchParams.get('Filter'), 'ProductId:M101');
+        assert.equal(url.searchParams.get('Offset'), '100');
+        assert.equal(url.searchParams.get('Limit'), '50');
+    });
+});
+
+describe('mapReviewsResponse', () => {
+    const page = mapReviewsResponse(JSON.parse(fixture('reviews-api.json')), 'M101');
+
+    it('reads paging and the rating summary', () => {
+        assert.equal(page.total, 3);
+        assert.equal(page.limit, 2);
+        assert.equal(page.rating, 4.333);
+        assert.equal(page.reviewCount, 3);
+    });
+
+    it('maps each review and links it to the product', () => {
+        assert.deepEqual(page.reviews[0], {
+            productId: 'M101',
+            reviewId: '9001',
+            rating: 5,
+            title: 'Love them',
+            text: 'Warm and comfortable.',
+            author: 'torontoshopper',
+            submittedAt: '2024-12-02T10:00:00.000+00:00',
+            isRecommended: true,
+            fitFeedback: { Fit: 'Runs small' },
+            source: 'bazaarvoice',
+        });
+    });
+
+    it('keeps only size and fit secondary ratings', () => {
+        assert.equal(page.reviews[1].fitFeedback, null);
+        assert.deepEqual(page.reviews[2].fitFeedback, { Sizing: 'True to size' });
+    });
+});
+
+describe('mapJsonLdReviews', () => {
+    it('maps the review nodes of a JSON-LD product', () => {
+        const [node] = extractJsonLdProductNodes(load(fixture('detail-jsonld.html')));
+        const reviews = mapJsonLdReviews(node, 'M101');
+        assert.deepEqual(
+            reviews.map((review) => [review.rating, review.title, review.author, review.submittedAt]),
+            [
+                [5, 'Very warm', 'maplefan', '2024-12-01'],
+                [4, 'Runs small', 'shoegal', '2024-11-20'],
+            ],
+        );
+        assert.equal(reviews[0].source, 'jsonLd');
+    });
+
+    it('returns no reviews without a product node', () => {
+        assert.deepEqual(mapJsonLdReviews(null, 'M101'), []);
+    });
+});
+
+describe('getReviewKey', () => {
+    it('keys API reviews by product and review ID', () => {
+        assert.equal(getReviewKey({ productId: 'M101', reviewId: '9001', author: 'a' }), 'M101:9001');
+    });
+
+    it('keys JSON-LD reviews by author, date and title', () => {
+        const review = { productId: 'M101', reviewId: null, author: 'a', submittedAt: '2024-11-02', title: 'Warm' };
+        assert.equal(getReviewKey(review), getReviewKey({ ...review }));
+        assert.notEqual(getReviewKey(review), getReviewKey({ ...review, author: 'b' }));
+    });
+});
@@ -0,0 +1,188 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import {
+    applyUrlRefinements,
+    buildApiRefinements,
+    buildGridUrl,
+    buildProductsEndpoint,
+    buildProductUrl,
+    buildSearchParams,
+    buildSearchUrl,
+    buildStoresEndpoint,
+    getCgidFromRefine,
+    localizeUrl,
+    mergeRefinements,
+} from '../src/search.js';
+
+const refinements = { brand: ['UGG', 'Sorel'], color: [], size: ['8'], width: [], gender: [] };
+
+describe('buildApiRefinements', () => {
+    it('joins multiple values with pipes and adds a price range', () => {
+        assert.deepEqual(buildApiRefinements({ refinements, minPrice: 50, maxPrice: 200 }), [
+            'c_brand=UGG|Sorel',
+            'c_size=8',
+            'price=(50..200)',
+        ]);
+    });
+
+    it('leaves the price range open when only one bound is set', () => {
+        assert.deepEqual(buildApiRefinements({ refinements: {}, minPrice: null, maxPrice: 90 }), ['price=(0..90)']);
+    });
+});
+
+describe('mergeRefinements', () => {
+    it('replaces page refinements on the same attribute', () => {
+        assert.deepEqual(mergeRefinements(['cgid=women', 'c_brand=Ecco'], ['c_brand=UGG']), [
+            'cgid=women',
+            'c_brand=UGG',
+        ]);
+    });
+});
+
+describe('applyUrlRefinements', () => {
+    it('renumbers existing refinements and adds the input ones', () => {
+        const url = new URL(
+            applyUrlRefinements(
+                'https://www.brownsshoes.com/en/women?prefn1=brand&prefv1=Ecco&prefn2=isSale&prefv2=true',
+                {
+                    refinements,
+                    minPrice: 50,
+                    maxPrice: null,
+                    sort: 'price-low-to-high',
+                },
+            ),
+        );
+        assert.equal(url.searchParams.get('prefn1'), 'isSale');
+        assert.equal(url.searchParams.get('prefn2'), 'brand');
+        assert.equal(url.searchParams.get('prefv2'), 'UGG|Sorel');
+        assert.equal(url.searchParams.get('prefn3'), 'size');
+        assert.equal(url.searchParams.get('pmin'), '50');
+        assert.equal(url.searchParams.get('pmax'), null);
+        assert.equal(url.searchParams.get('srule'), 'price-low-to-high');
+    });
+});
+
+describe('buildSearchParams', () => {
+    it('forwards query, refinements, sort and paging', () => {
+        const params = buildSearchParams({
+            params: { siteId: 'Browns', q: 'boots', refine: ['cgid=women', 'c_size=8'], sort: 'newest' },
+            offset: 40,
+            limit: 20,
+        });
+        assert.equal(params.get('q'), 'boots');
+        assert.deepEqual(params.getAll('refine'), ['cgid=women', 'c_size=8']);
+        assert.equal(params.get('sort'), 'newest');
+        assert.equal(params.get('offset'), '40');
+        assert.equal(params.get('limit'), '20');
+    });
+});
+
+describe('buildGridUrl', () => {
+    it('builds a Search-UpdateGrid URL that keeps the listing refinements', () => {
+        const url = new URL(
+            buildGridUrl({
+                requestUrl: 'https://www.brownsshoes.com/en/women?prefn1=brand&prefv1=UGG&start=0&sz=20',
+                siteId: 'Browns',
+                locale: 'en',
+                cgid: 'women',
+                start: 40,
+                size: 20,
+            }),
+        );
+        assert.equal(url.pathname, '/on/demandware.store/Sites-Browns-Site/en/Search-UpdateGrid');
+        assert.equal(url.searchParams.get('prefv1'), 'UGG');
+        assert.equal(url.searchParams.get('cgid'), 'women');
+        assert.equal(url.searchParams.get('start'), '40');
+    });
+
+    it('accepts a search query instead of a category', () => {
+        const url = new URL(
+            buildGridUrl({
+                requestUrl: buildSearchUrl('chelsea boots'),
+                siteId: 'Browns',
+                locale: 'en',
+                q: 'chelsea boots',
+                start: 20,
+            }),
+        );
+        assert.equal(url.searchParams.get('q'), 'chelsea boots');
+        assert.equal(url.searchParams.get('cgid'), null);
+    });
+
+    it('returns null without a category or query', () => {
+        assert.equal(
+            buildGridUrl({ requestUrl: 'https://www.brownsshoes.com/en/x', siteId: 'Browns', locale: 'en', start: 20 }),
+            null,
+        );
+    });
+});
+
+describe('store availability endpoints', () => {
+    const config = { shortCode: 'abc', organizationId: 'f_ecom_x', siteId: 'Browns', clientId: 'client' };
+
+    it('looks up stores by ID', () => {
+        const url = new URL(buildStoresEndpoint(config, { storeIds: ['101', '102'] }));
+        assert.ok(url.pathname.endsWith('/shopper-stores/v1/organizations/f_ecom_x/stores'));
+        assert.equal(url.searchParams.get('ids'), '101,102');
+    });
+
+    it('searches stores around a postal code', () => {
+        const url = new URL(buildStoresEndpoint(config, { storeIds: [], postalCode: 'M5B2H1', radius: 10 }));
+        assert.ok(url.pathname.endsWith('/store-search'));
+        assert.equal(url.searchParams.get('postalCode'), 'M5B2H1');
+        assert.equal(url.searchParams.get('maxDistance'), '10');
+        assert.equal(url.searchParams.get('countryCode'), 'CA');
+    });
+
+    it('requests product inventories for the store inventory IDs', () => {
+        const url = new URL(buildProductsEndpoint(config, ['M101', 'M101-001-070'], ['inv_101']));
+        assert.equal(url.searchParams.get('ids'), 'M101,M101-001-070');
+        assert.equal(url.searchParams.get('inventoryIds'), 'inv_101');
+    });
+
+    it('expands product data for watchlist lookups', () => {
+        const url = new URL(buildProductsEndpoint(config, ['M101'], [], ['availability', 'images', 'variations']));
+        assert.equal(url.searchParams.get('expand'), 'availability,images,variations');
+        assert.equal(url.searchParams.get('allImages'), 'true');
+        assert.equal(url.searchParams.get('inventoryIds'), null);
+    });
+});
+
+describe('buildProductUrl', () => {
+    it('builds a storefront product URL from an ID', () => {
+        assert.equal(buildProductUrl('M101'), 'https://www.brownsshoes.com/en/product/M101.html');
+        assert.equal(buildProductUrl('M101', 'fr'), 'https://www.brownsshoes.com/fr/product/M101.html');
+    });
+});
+
+describe('localizeUrl', () => {
+    it('swaps the language prefix of storefront URLs', () => {
+        assert.equal(
+            localizeUrl('https://www.brownsshoes.com/en/women?prefn1=brand', 'fr'),
+            'https://www.brownsshoes.com/fr/women?prefn1=brand',
+        );
+        assert.equal(localizeUrl('https://www.brownsshoes.com/fr/', 'en'), 'https://www.brownsshoes.com/en/');
+    });
+
+    it('swaps the locale of SFRA controller URLs', () => {
+        assert.equal(
+            localizeUrl('https://www.brownsshoes.com/on/demandware.store/Sites-Browns-Site/en_CA/Search-Show', 'fr'),
+            'https://www.brownsshoes.com/on/demandware.store/Sites-Browns-Site/fr_CA/Search-Show',
+        );
+    });
+
+    it('adds a prefix to URLs without one', () => {
+        assert.equal(
+            localizeUrl('https://www.brownsshoes.com/entrance', 'fr'),
+            'https://www.brownsshoes.com/fr/entrance',
+        );
+    });
+});
+
+describe('getCgidFromRefine', () => {
+    it('reads the category from the refine list', () => {
+        assert.equal(getCgidFromRefine(['c_brand=UGG', 'cgid=women-boots']), 'women-boots');
+        assert.equal(getCgidFromRefine(['c_brand=UGG']), null);
+    });
+});
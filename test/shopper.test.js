@@ -0,0 +1,38 @@
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import { describe, it } from 'node:test';
+
+import { createPkcePair, isTokenExpired, readAuthorizationCode } from '../src/shopper.js';
+
+describe('createPkcePair', () => {
+    it('derives the challenge from the verifier', () => {
+        const { verifier, challenge } = createPkcePair();
+        assert.match(verifier, /^[\w-]{43,128}$/);
+        assert.equal(challenge, createHash('sha256').update(verifier).digest('base64url'));
+        assert.notEqual(createPkcePair().verifier, verifier);
+    });
+});
+
+describe('isTokenExpired', () => {
+    it('renews tokens shortly before they expire', () => {
+        const now = Date.parse('2026-01-01T00:00:00Z');
+        assert.equal(isTokenExpired(null, now), true);
+        assert.equal(isTokenExpired({ accessToken: 'a', expiresAt: now + 30 * 60 * 1000 }, now), false);
+        assert.equal(isTokenExpired({ accessToken: 'a', expiresAt: now + 30 * 1000 }, now), true);
+    });
+});
+
+describe('readAuthorizationCode', () => {
+    it('reads the code and usid from the callback redirect', () => {
+        assert.deepEqual(readAuthorizationCode('https://www.brownsshoes.com/callback?code=abc&usid=u1'), {
+            code: 'abc',
+            usid: 'u1',
+        });
+        assert.deepEqual(readAuthorizationCode('/callback?code=abc'), { code: 'abc', usid: null });
+    });
+
+    it('returns null without a code', () => {
+        assert.equal(readAuthorizationCode('/callback?error=invalid_client'), null);
+        assert.equal(readAuthorizationCode(undefined), null);
+    });
+});
@@ -0,0 +1,103 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { matchesAnySize, parseSize, parseSizeFilter, parseSizes } from '../src/sizes.js';
+
+describe('parseSize', () => {
+    it('reads the system, value and width', () => {
+        assert.deepEqual(parseSize('8.5 W'), {
+            raw: '8.5 W',
+            system: 'US',
+            value: 8.5,
+            width: 'Wide',
+            ageGroup: 'adult',
+        });
+        assert.deepEqual(parseSize('EU 39,5'), {
+            raw: 'EU 39,5',
+            system: 'EU',
+            value: 39.5,
+            width: null,
+            ageGroup: 'adult',
+        });
+        assert.equal(parseSize('UK 6').system, 'UK');
+        assert.equal(parseSize('8 1/2 Extra Wide').value, 8.5);
+        assert.equal(parseSize('8 1/2 Extra Wide').width, 'Extra Wide');
+    });
+
+    it('reads dual labels from their first size', () => {
+        assert.deepEqual(parseSize('US 7 / UK 5'), {
+            raw: 'US 7 / UK 5',
+            system: 'US',
+            value: 7,
+            width: null,
+            ageGroup: 'adult',
+        });
+        assert.deepEqual(parseSize('EU 39/UK 6 W'), {
+            raw: 'EU 39/UK 6 W',
+            system: 'EU',
+            value: 39,
+            width: null,
+            ageGroup: 'adult',
+        });
+        assert.equal(parseSize('UK 5 / US 7').value, 5);
+        assert.equal(parseSize('UK 5 / US 7').system, 'UK');
+    });
+
+    it('treats large plain numbers as European sizes', () => {
+        assert.equal(parseSize('41').system, 'EU');
+    });
+
+    it('reads kids age groups', () => {
+        assert.equal(parseSize('Toddler 6').ageGroup, 'toddler');
+        assert.equal(parseSize('10C').ageGroup, 'kids');
+        assert.equal(parseSize('4Y').ageGroup, 'youth');
+        assert.equal(parseSize('10C').width, null);
+    });
+
+    it('keeps letter sizes without a value', () => {
+        assert.deepEqual(parseSize('One Size'), {
+            raw: 'One Size',
+            system: 'letter',
+            value: null,
+            width: null,
+            ageGroup: null,
+        });
+    });
+
+    it('skips variation codes', () => {
+        assert.equal(parseSize('080'), null);
+        assert.deepEqual(
+            parseSizes(['7', '070', '8', '8']).map((size) => size.raw),
+            ['7', '8'],
+        );
+    });
+});
+
+describe('size filters', () => {
+    const matches = (sizes, ...filters) => matchesAnySize(sizes, filters.map(parseSizeFilter));
+
+    it('matches exact values only', () => {
+        assert.equal(matches(['18', '8.5'], '8'), false);
+        assert.equal(matches(['8 W'], '8'), true);
+        assert.equal(matches(['EU 8'], '8'), false);
+    });
+
+    it('matches ranges with any dash', () => {
+        assert.equal(parseSizeFilter('8–9.5').isRange, true);
+        assert.equal(matches(['9'], '8–9.5'), true);
+        assert.equal(matches(['10'], '8-9.5'), false);
+        assert.equal(matches(['EU 40'], 'EU 39 to 41'), true);
+    });
+
+    it('narrows by width and age group when given', () => {
+        assert.equal(matches(['9'], '8-9.5 W'), false);
+        assert.equal(matches(['9 Wide'], '8-9.5 W'), true);
+        assert.equal(matches(['6'], 'Toddler 5-7'), false);
+        assert.equal(matches(['Toddler 6'], 'Toddler 5-7'), true);
+    });
+
+    it('matches other labels as written', () => {
+        assert.equal(matches(['M', 'L'], 'm'), true);
+        assert.equal(matches(['One Size'], 'xl'), false);
+    });
+});
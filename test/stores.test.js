@@ -0,0 +1,68 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { attachStoreAvailability, mapStoreAvailability, mapStores } from '../src/stores.js';
+
+const stores = mapStores({
+    data: [
+        { id: '101', name: 'Eaton Centre', city: 'Toronto', inventoryId: 'inv_101', distance: 2.4 },
+        { id: '102', name: 'Yorkdale', city: 'Toronto', inventoryId: 'inv_102', distance: '8.1' },
+        { name: 'No ID' },
+    ],
+});
+
+describe('mapStores', () => {
+    it('keeps stores with an ID', () => {
+        assert.deepEqual(
+            stores.map((store) => [store.storeId, store.inventoryId, store.distance]),
+            [
+                ['101', 'inv_101', 2.4],
+                ['102', 'inv_102', 8.1],
+            ],
+        );
+    });
+});
+
+describe('mapStoreAvailability', () => {
+    it('reports stock per store and null for stores without an inventory record', () => {
+        const availability = mapStoreAvailability([{ id: 'inv_101', ats: 2, orderable: true }], stores);
+        assert.equal(availability[0].inStock, true);
+        assert.equal(availability[0].quantity, 2);
+        assert.equal(availability[1].inStock, null);
+    });
+
+    it('treats zero stock as out of stock', () => {
+        const [entry] = mapStoreAvailability([{ id: 'inv_101', ats: 0, orderable: true }], stores);
+        assert.equal(entry.inStock, false);
+    });
+});
+
+describe('attachStoreAvailability', () => {
+    const item = {
+        productId: 'M101',
+        variants: [{ variantId: 'M101-001-070' }, { variantId: 'M101-001-080' }],
+    };
+    const inventoriesById = new Map([
+        ['M101-001-070', [{ id: 'inv_101', ats: 1, orderable: true }]],
+        [
+            'M101-001-080',
+            [
+                { id: 'inv_101', ats: 3, orderable: true },
+                { id: 'inv_102', ats: 0, orderable: false },
+            ],
+        ],
+    ]);
+
+    it('adds per-store stock to every variant', () => {
+        const { variants } = attachStoreAvailability(item, inventoriesById, stores);
+        assert.equal(variants[0].storeAvailability[0].quantity, 1);
+        assert.equal(variants[1].storeAvailability[1].inStock, false);
+    });
+
+    it('aggregates variant stock when the product has no inventory record', () => {
+        const { storeAvailability } = attachStoreAvailability(item, inventoriesById, stores);
+        assert.equal(storeAvailability[0].inStock, true);
+        assert.equal(storeAvailability[0].quantity, 4);
+        assert.equal(storeAvailability[1].inStock, false);
+    });
+});
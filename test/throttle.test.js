@@ -0,0 +1,125 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { DEFAULT_RATE_LIMIT } from '../src/constants.js';
+import { createThrottle, getBackoffMs, parseRateLimit, parseRetryAfter } from '../src/throttle.js';
+
+describe('parseRetryAfter', () => {
+    it('reads seconds and HTTP dates', () => {
+        const now = Date.parse('2026-01-01T00:00:00Z');
+        assert.equal(parseRetryAfter('120', now), 120000);
+        assert.equal(parseRetryAfter('Thu, 01 Jan 2026 00:00:30 GMT', now), 30000);
+        assert.equal(parseRetryAfter('Wed, 31 Dec 2025 23:00:00 GMT', now), 0);
+        assert.equal(parseRetryAfter('soon', now), null);
+        assert.equal(parseRetryAfter(undefined, now), null);
+    });
+});
+
+describe('getBackoffMs', () => {
+    it('doubles per attempt with jitter, up to the maximum', () => {
+        const backoff = { baseMs: 1000, maxMs: 10000 };
+        assert.equal(
+            getBackoffMs(0, backoff, () => 0),
+            500,
+        );
+        assert.equal(
+            getBackoffMs(0, backoff, () => 1),
+            1000,
+        );
+        assert.equal(
+            getBackoffMs(2, backoff, () => 1),
+            4000,
+        );
+        assert.equal(
+            getBackoffMs(10, backoff, () => 0.5),
+            7500,
+        );
+    });
+});
+
+describe('parseRateLimit', () => {
+    it('keeps defaults for missing and invalid values', () => {
+        assert.deepEqual(parseRateLimit(undefined), DEFAULT_RATE_LIMIT);
+        assert.deepEqual(parseRateLimit({ requestsPerMinute: 'fast', backoffBaseSecs: -1 }), DEFAULT_RATE_LIMIT);
+    });
+
+    it('reads limits and turns the circuit breaker off with null', () => {
+        const rateLimit = parseRateLimit({
+            requestsPerMinute: 60,
+            maxBlockedRetries: 0,
+            circuitBreakerWindow: 10.5,
+            circuitBreakerBlockRate: null,
+        });
+        assert.equal(rateLimit.requestsPerMinute, 60);
+        assert.equal(rateLimit.maxBlockedRetries, 0);
+        assert.equal(rateLimit.circuitBreakerWindow, 10);
+        assert.equal(rateLimit.circuitBreakerBlockRate, null);
+    });
+});
+
+describe('createThrottle', () => {
+    it('spaces requests to each host separately', async () => {
+        const throttle = createThrottle(parseRateLimit({ requestsPerMinute: 600 }));
+        const startedAt = Date.now();
+        await Promise.all([
+            throttle.wait('https://a.example/1'),
+            throttle.wait('https://a.example/2'),
+            throttle.wait('https://a.example/3'),
+            throttle.wait('https://b.example/1'),
+        ]);
+        const elapsed = Date.now() - startedAt;
+        assert.ok(elapsed >= 190 && elapsed < 1000, `waited ${elapsed}ms`);
+        assert.deepEqual(
+            Object.values(throttle.toJSON().hosts).map((host) => host.requests),
+            [3, 1],
+        );
+    });
+
+    it('pauses a blocked host for its Retry-After or backoff', () => {
+        const throttle = createThrottle(parseRateLimit({ backoffBaseSecs: 1 }), { random: () => 1 });
+        assert.equal(throttle.recordResponse('https://a.example/1', 429, '5'), 5000);
+        assert.equal(throttle.recordResponse('https://a.example/1', 403), 2000);
+        assert.equal(throttle.recordResponse('https://a.example/1', 200), 0);
+        assert.equal(throttle.recordResponse('https://a.example/1', 503), 1000);
+        assert.equal(throttle.toJSON().hosts['a.example'].blocked, 3);
+    });
+
+    it('gives up on slots further away than the longest wait', async () => {
+        const throttle = createThrottle(parseRateLimit({ backoffBaseSecs: 60 }), { random: () => 1 });
+        throttle.recordResponse('https://a.example/1', 429);
+        const startedAt = Date.now();
+        assert.equal(await throttle.wait('https://a.example/2', { maxWaitMs: 50 }), false);
+        assert.ok(Date.now() - startedAt >= 45);
+        assert.equal(throttle.toJSON().hosts['a.example'].requests, 0);
+        assert.equal(await throttle.wait('https://b.example/1', { maxWaitMs: 50 }), true);
+    });
+
+    it('pauses every host when the block rate spikes', () => {
+        const warnings = [];
+        const throttle = createThrottle(parseRateLimit({ circuitBreakerWindow: 4, circuitBreakerBlockRate: 0.5 }), {
+            logger: { warning: (message) => warnings.push(message) },
+        });
+        throttle.recordResponse('https://a.example/1', 200);
+        throttle.recordResponse('https://a.example/2', 200);
+        throttle.recordResponse('https://a.example/3', 403);
+        assert.equal(throttle.toJSON().circuitBreaks, 0);
+        throttle.recordResponse('https://b.example/1', 429);
+        assert.equal(throttle.toJSON().circuitBreaks, 1);
+        assert.match(warnings[0], /2 of the last 4 requests were blocked/);
+    });
+
+    it('carries on counting from the stats of an earlier run', async () => {
+        const previous = createThrottle(parseRateLimit({ backoffBaseSecs: 1 }), { random: () => 1 });
+        await previous.wait('https://a.example/1');
+        previous.recordResponse('https://a.example/1', 429);
+        await previous.wait('https://b.example/1');
+        const throttle = createThrottle(parseRateLimit({ backoffBaseSecs: 1 }), { state: previous.toJSON() });
+        const startedAt = Date.now();
+        await throttle.wait('https://a.example/2');
+        assert.ok(Date.now() - startedAt < 500);
+        const { hosts } = throttle.toJSON();
+        assert.equal(hosts['a.example'].requests, 2);
+        assert.equal(hosts['a.example'].blocked, 1);
+        assert.equal(hosts['b.example'].requests, 1);
+    });
+});